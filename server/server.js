@@ -0,0 +1,162 @@
+// Reference server for the app's REST storage backend, so several desks can share one agenda.
+// It keeps the meetings data in a single JSON file and uses only Node's built-in modules.
+//
+//   GET /api/meetings  returns { schemaVersion, revision, meetings, activeMeetingId } with the revision as an
+//                      ETag, or 304 Not Modified when If-None-Match already names it
+//   PUT /api/meetings  saves { schemaVersion, meetings, activeMeetingId } as the next revision. If-Match must name
+//                      the revision the changes were made against; if another desk saved since, it answers
+//                      412 Precondition Failed with the current revision.
+//
+// Settings come from environment variables:
+//   PORT            port to listen on (default 4000)
+//   DATA_FILE       where the data is kept (default server/data.json)
+//   ALLOWED_ORIGIN  origin of the app, e.g. http://agenda.city.local, allowed to call the server from a browser.
+//                   The server has no authentication, so without it every cross-origin request is refused;
+//                   otherwise any page a clerk visits could read and overwrite the agenda.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || null;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+// Data served before anything has been saved
+const EMPTY_DATA = { schemaVersion: null, revision: 0, meetings: [], activeMeetingId: null };
+
+// Reads the saved data, or the empty data if the file doesn't exist yet
+const readData = () => {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return EMPTY_DATA;
+    throw error;
+  }
+};
+
+// Writes the data to a temporary file and renames it over the old one, so a crash never leaves half a file
+const writeData = (data) => {
+  const temporaryFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(temporaryFile, JSON.stringify(data));
+  fs.renameSync(temporaryFile, DATA_FILE);
+};
+
+// The data is read once and kept in memory; every save also goes to the file
+let data = readData();
+
+// Browsers send an Origin header with cross-origin requests; only the configured app origin may make them
+const isAllowedOrigin = (req) => !req.headers.origin || req.headers.origin === ALLOWED_ORIGIN;
+
+// CORS headers for responses, allowing the configured app origin if there is one
+const corsHeaders = (headers) => (ALLOWED_ORIGIN ? { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN, Vary: 'Origin', ...headers } : {});
+
+// Revisions travel in ETag headers, e.g. `"12"`
+const revisionETag = (revision) => `"${revision}"`;
+
+// Sends a JSON response with the CORS headers the app needs
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache',
+    ...corsHeaders({ 'Access-Control-Expose-Headers': 'ETag' }),
+    ...headers,
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// Reads and parses a JSON request body
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      reject(Object.assign(new Error('The agenda is too large to save.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(Object.assign(new Error('The request body is not valid JSON.'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+// GET /api/meetings
+const getMeetings = (req, res) => {
+  const etag = revisionETag(data.revision);
+  if (req.headers['if-none-match'] === etag) {
+    sendJson(res, 304, undefined, { ETag: etag });
+    return;
+  }
+  sendJson(res, 200, data, { ETag: etag });
+};
+
+// PUT /api/meetings
+const putMeetings = async (req, res) => {
+  const expected = req.headers['if-match'];
+  if (!expected) {
+    sendJson(res, 428, { error: 'Send If-Match with the revision your changes were made against.', revision: data.revision });
+    return;
+  }
+  const body = await readJsonBody(req);
+  if (!Array.isArray(body.meetings)) {
+    sendJson(res, 400, { error: 'The request body needs a meetings array.' });
+    return;
+  }
+  // Checked after the body has arrived, in case another save finished while it was uploading
+  if (expected !== revisionETag(data.revision)) {
+    sendJson(res, 412, { error: `Revision ${data.revision} was saved by someone else first.`, revision: data.revision });
+    return;
+  }
+  const saved = {
+    schemaVersion: body.schemaVersion,
+    revision: data.revision + 1,
+    meetings: body.meetings,
+    activeMeetingId: body.activeMeetingId ?? null,
+  };
+  writeData(saved);
+  data = saved;
+  sendJson(res, 200, { revision: saved.revision }, { ETag: revisionETag(saved.revision) });
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (!isAllowedOrigin(req)) {
+      sendJson(res, 403, { error: 'Requests from this origin are not allowed. Set ALLOWED_ORIGIN to the app\'s origin.' });
+    } else if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders({
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+        'Access-Control-Max-Age': '86400',
+      }));
+      res.end();
+    } else if (pathname !== '/api/meetings') {
+      sendJson(res, 404, { error: 'Not found.' });
+    } else if (req.method === 'GET') {
+      getMeetings(req, res);
+    } else if (req.method === 'PUT') {
+      await putMeetings(req, res);
+    } else {
+      sendJson(res, 405, { error: 'Use GET or PUT.' }, { Allow: 'GET, PUT, OPTIONS' });
+    }
+  } catch (error) {
+    if (!error.status) console.error('Failed to handle request:', error);
+    if (!res.headersSent) sendJson(res, error.status || 500, { error: error.status ? error.message : 'The server could not save the agenda.' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Council agenda server listening on http://localhost:${PORT}/api, keeping data in ${DATA_FILE}`);
+  if (!ALLOWED_ORIGIN) console.log('ALLOWED_ORIGIN is not set, so browsers on other origins will be refused.');
+});
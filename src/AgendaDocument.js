@@ -0,0 +1,85 @@
+import React from 'react';
+import { groupRowsBySection } from './sections';
+import { meetingFields } from './fields';
+import { displayTime, formatLongDate } from './time';
+
+// The official, print-ready agenda: header, numbered items grouped by section, and the notice footer.
+// Items are kept whole across page breaks so "Save as PDF" output never splits one.
+// Department and presenter get their own columns when the meeting uses them; any other configured fields,
+// such as the recommended action, are printed under the item's subject.
+function AgendaDocument({ meeting, settings, timeFormat }) {
+  const groups = groupRowsBySection(meeting.rows);
+  const fields = meetingFields(meeting);
+  const columns = fields.filter(field => field.key === 'department' || field.key === 'presenter');
+  const details = fields.filter(field => field.key !== 'issue' && !columns.includes(field));
+
+  return (
+    <article className="agenda-document max-w-3xl mx-auto bg-white text-gray-900 font-serif">
+      <header className="text-center border-b-2 border-gray-900 pb-4 mb-6">
+        {settings.jurisdiction && (
+          <p className="uppercase tracking-widest text-sm">{settings.jurisdiction}</p>
+        )}
+        <h1 className="text-3xl font-bold uppercase">{meeting.body}</h1>
+        <p className="text-xl font-semibold">Agenda</p>
+        {meeting.title && meeting.title !== 'Untitled meeting' && <p className="text-lg">{meeting.title}</p>}
+        <p>
+          {[formatLongDate(meeting.date), displayTime(meeting.startTime, timeFormat)].filter(Boolean).join(' · ')}
+        </p>
+        {meeting.location && <p>{meeting.location}</p>}
+      </header>
+
+      {meeting.rows.length === 0 ? (
+        <p className="text-center italic">No items have been placed on this agenda.</p>
+      ) : (
+        <table className="w-full text-left border-collapse mb-8">
+          <thead>
+            <tr className="border-b border-gray-400 text-xs uppercase tracking-wider">
+              <th className="py-2 pr-2 w-16">Item</th>
+              <th className="py-2 pr-2 w-24">Time</th>
+              <th className="py-2 pr-2">Subject</th>
+              {columns.map(field => <th key={field.key} className="py-2 pr-2">{field.label}</th>)}
+            </tr>
+          </thead>
+          {groups.map(group => (
+            <tbody key={`${group.number}-${group.section}`} className="agenda-section">
+              {group.section && (
+                <tr className="agenda-item">
+                  <th colSpan={columns.length + 3} className="pt-4 pb-1 font-bold uppercase">
+                    {group.number}. {group.section}
+                  </th>
+                </tr>
+              )}
+              {group.items.map(({ row, number }) => (
+                <tr key={row.id} className="agenda-item align-top border-b border-gray-200">
+                  <td className="py-2 pr-2 font-semibold">{number}</td>
+                  <td className="py-2 pr-2 whitespace-nowrap">{displayTime(row.time, timeFormat)}</td>
+                  <td className="py-2 pr-2">
+                    {row.issue}
+                    {details.filter(field => row[field.key]).map(field => (
+                      <p key={field.key} className="text-sm mt-1">
+                        <span className="font-semibold">{field.label}: </span>
+                        {field.type === 'url' ? <a href={row[field.key]} className="underline break-all">{row[field.key]}</a> : row[field.key]}
+                      </p>
+                    ))}
+                  </td>
+                  {columns.map(field => <td key={field.key} className="py-2 pr-2">{row[field.key]}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      )}
+
+      <footer className="agenda-item border-t-2 border-gray-900 pt-4 text-sm space-y-2">
+        {settings.noticeText && (
+          <p><span className="font-bold">Public Notice. </span>{settings.noticeText}</p>
+        )}
+        {settings.accessibilityText && (
+          <p><span className="font-bold">Accessibility. </span>{settings.accessibilityText}</p>
+        )}
+      </footer>
+    </article>
+  );
+}
+
+export default AgendaDocument;
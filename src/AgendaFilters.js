@@ -0,0 +1,74 @@
+import React from 'react';
+import { EMPTY_FILTERS, FILTER_FIELDS, distinctValues, isFiltering } from './filters';
+
+// Search box, department/presenter filters and grouping for the agenda table.
+// Only fields the meeting uses are offered as filters.
+function AgendaFilters({ rows, fields, filters, onChange, shownCount }) {
+  const filterFields = fields.filter(field => FILTER_FIELDS.includes(field.key));
+
+  // Turns one value of a multi-select filter on or off
+  const toggleValue = (key, value) => {
+    const values = filters[key];
+    onChange({ ...filters, [key]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <div className="flex flex-wrap items-start gap-2 mb-2 text-sm">
+      <input
+        type="search"
+        aria-label="Search items"
+        placeholder="Search items…"
+        value={filters.query}
+        onChange={(e) => onChange({ ...filters, query: e.target.value })}
+        className={`${inputClassName} flex-1 min-w-[12rem]`}
+      />
+      {filterFields.map(field => {
+        const values = distinctValues(rows, field.key);
+        return (
+          <details key={field.key} className="relative">
+            <summary className={`${inputClassName} cursor-pointer list-none bg-white`}>
+              {field.label}{filters[field.key].length > 0 ? ` (${filters[field.key].length})` : ''} ▾
+            </summary>
+            <div className="absolute z-10 mt-1 p-2 bg-white border border-gray-200 rounded-md shadow-lg max-h-64 overflow-y-auto min-w-[12rem]">
+              {values.length === 0 && <p className="text-gray-500">No values yet</p>}
+              {values.map(value => (
+                <label key={value} className="flex items-center py-0.5 whitespace-nowrap">
+                  <input
+                    type="checkbox"
+                    checked={filters[field.key].includes(value)}
+                    onChange={() => toggleValue(field.key, value)}
+                    className="mr-2"
+                  />
+                  {value}
+                </label>
+              ))}
+            </div>
+          </details>
+        );
+      })}
+      {filterFields.length > 0 && (
+        <select
+          aria-label="Group by"
+          value={filters.groupBy}
+          onChange={(e) => onChange({ ...filters, groupBy: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">No grouping</option>
+          {filterFields.map(field => <option key={field.key} value={field.key}>Group by {field.label.toLowerCase()}</option>)}
+        </select>
+      )}
+      {(isFiltering(filters) || filters.groupBy) && (
+        <button onClick={() => onChange(EMPTY_FILTERS)} className="px-3 py-2 text-indigo-600 hover:text-indigo-900 font-semibold">
+          Clear
+        </button>
+      )}
+      {isFiltering(filters) && (
+        <span className="self-center text-gray-600">Showing {shownCount} of {rows.length} items</span>
+      )}
+    </div>
+  );
+}
+
+export default AgendaFilters;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import AgendaDocument from './AgendaDocument';
+import { loadPreferences, savePreferences, subscribeToPreferences } from './storage';
+import useStoredMeetings from './useStoredMeetings';
+
+// Print preview of the official agenda for the active meeting, opened in its own window at #/agenda.
+// The header and footer settings edited here are saved as preferences and used for every meeting.
+function AgendaPrintView() {
+  // The meetings as saved by the editor window
+  const meetingsState = useStoredMeetings();
+
+  // State for the preferences, including the agenda header and footer settings
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  // Effect to follow preferences changed in other windows, such as the time format
+  useEffect(() => subscribeToPreferences(setPreferences), []);
+
+  // Updates one of the agenda settings. Only the agenda settings are saved, on top of the latest saved
+  // preferences, so changes made meanwhile in the editor window aren't overwritten.
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    const agenda = { ...preferences.agenda, [name]: value };
+    setPreferences(prev => ({ ...prev, agenda }));
+    savePreferences({ ...loadPreferences(), agenda });
+  };
+
+  const meeting = meetingsState.meetings.find(m => m.id === meetingsState.activeMeetingId);
+  if (!meeting) return null;
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md w-full font-sans normal-case tracking-normal text-sm text-gray-900 focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white p-4 sm:p-8 print:p-0">
+      <div className="max-w-3xl mx-auto mb-8 p-6 bg-white rounded-xl shadow-lg font-sans print:hidden">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-2xl font-bold text-gray-800">Official Agenda Settings</h2>
+          <button
+            onClick={() => window.print()}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md"
+          >
+            Print / Save as PDF
+          </button>
+        </div>
+        <div className="grid grid-cols-1 gap-4">
+          <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Jurisdiction
+            <input
+              type="text"
+              name="jurisdiction"
+              placeholder="City of ..."
+              value={preferences.agenda.jurisdiction}
+              onChange={handleSettingChange}
+              className={inputClassName}
+            />
+          </label>
+          <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Public notice statement
+            <textarea name="noticeText" rows={3} value={preferences.agenda.noticeText} onChange={handleSettingChange} className={inputClassName} />
+          </label>
+          <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Accessibility statement
+            <textarea name="accessibilityText" rows={3} value={preferences.agenda.accessibilityText} onChange={handleSettingChange} className={inputClassName} />
+          </label>
+        </div>
+        <p className="mt-4 text-sm text-gray-500">
+          The body, date, start time and location come from the meeting details in the editor.
+        </p>
+      </div>
+
+      <div className="bg-white shadow-lg print:shadow-none p-8 print:p-0 max-w-3xl mx-auto">
+        <AgendaDocument meeting={meeting} settings={preferences.agenda} timeFormat={preferences.timeFormat} />
+      </div>
+    </div>
+  );
+}
+
+export default AgendaPrintView;
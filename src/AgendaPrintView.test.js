@@ -0,0 +1,22 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import AgendaPrintView from './AgendaPrintView';
+import { STORAGE_KEY, PREFERENCES_KEY, loadPreferences } from './storage';
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    activeMeetingId: 'm1',
+    meetings: [{ id: 'm1', title: 'Regular Session', body: 'City Council', startTime: '18:00', rows: [] }],
+  }));
+});
+
+test('saving agenda settings keeps preferences changed in the editor window', () => {
+  render(<AgendaPrintView />);
+  // The editor window switches to the 24-hour clock while the print view is open
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ ...loadPreferences(), timeFormat: '24h' }));
+
+  fireEvent.change(screen.getByPlaceholderText('City of ...'), { target: { value: 'City of Springfield' } });
+  const saved = loadPreferences();
+  expect(saved.timeFormat).toBe('24h');
+  expect(saved.agenda.jurisdiction).toBe('City of Springfield');
+});
@@ -1,109 +1,497 @@
-/* global XLSX */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { flushSync } from 'react-dom';
+import MeetingList from './MeetingList';
+import MeetingDetails from './MeetingDetails';
+import ExportPanel from './ExportPanel';
+import LiveMeeting from './LiveMeeting';
+import ImportWizard from './ImportWizard';
+import Toast from './Toast';
+import RosterEditor from './RosterEditor';
+import MotionsEditor from './MotionsEditor';
+import SpeakerQueue from './SpeakerQueue';
+import AgendaDocument from './AgendaDocument';
+import FieldsEditor from './FieldsEditor';
+import FieldInput from './FieldInput';
+import TemplatePanel from './TemplatePanel';
+import AgendaFilters from './AgendaFilters';
+import DirectoryEditor from './DirectoryEditor';
+import UpdatePrompt from './UpdatePrompt';
+import ConflictDialog from './ConflictDialog';
+import StorageSettings from './StorageSettings';
+import VersionHistory from './VersionHistory';
+import { combineImportedRows } from './importer';
+import { createMeeting, duplicateMeeting, generateId } from './meetings';
+import {
+  loadMeetingsState,
+  loadRevision,
+  loadPreferences,
+  savePreferences,
+  loadHistory,
+  saveHistory,
+  subscribeToPreferences,
+  loadTemplates,
+  saveTemplates,
+  loadDirectory,
+  saveDirectory,
+} from './storage';
+import { TIME_FORMATS, normalizeTime, displayTime, formatTime, parseTime } from './time';
+import {
+  computeSchedule,
+  withSchedule,
+  migrateMeetingSchedule,
+  moveRow,
+  parseDuration,
+  rowDuration,
+  DEFAULT_DURATION,
+} from './schedule';
+import { startLive, goToNext, goToPrevious, endLive } from './live';
+import { pushEntry, undoEntry, redoEntry, diffRows, applyEntryFields, replacementEntry } from './history';
+import { isTypingTarget } from './keyboard';
+import { DEFAULT_SECTIONS, itemNumbers, sectionStarts } from './sections';
+import { DEFAULT_FIELDS, meetingFields, missingFieldValues, describeFields } from './fields';
+import { templateFromMeeting, meetingFromTemplate } from './templates';
+import { filtersFromParams, filtersToParams, isFiltering, filterRows, groupEntries } from './filters';
+import { hashParams, replaceHashParams } from './routes';
+import { normalizeRow, departmentColor } from './directory';
+import { sameValue, changedKeys, mergeMeetings } from './sync';
+import { createBackend } from './backends';
+import { publishVersion } from './versions';
+import { startSpeaker, finishSpeaker, cancelSpeaker } from './speakers';
+
+// Blank schedule values for the add and edit forms; item field values are added as they are typed
+const EMPTY_ROW = { time: '', duration: '', pinned: false, section: '' };
+
+// Datalists offering directory entries for the fields that have them
+const DIRECTORY_LISTS = { department: 'directory-departments', presenter: 'directory-presenters' };
 
 // Main App component for the dynamic table
 function App() {
-  // State to hold the table data.
-  // It tries to load data from localStorage on initial render, otherwise starts with an empty array.
-  const [data, setData] = useState(() => {
-    try {
-      const savedData = localStorage.getItem('dynamicTableData');
-      return savedData ? JSON.parse(savedData) : [];
-    } catch (error) {
-      console.error("Failed to parse data from localStorage:", error);
-      return []; // Return empty array if parsing fails
-    }
-  });
+  // State to hold every meeting and which one is currently selected.
+  // It loads saved meetings from localStorage on initial render, migrating any legacy single-table data.
+  const [meetingsState, setMeetingsState] = useState(loadMeetingsState);
+  const { meetings, activeMeetingId } = meetingsState;
+
+  // The meeting currently being edited, and its agenda rows
+  const activeMeeting = meetings.find(meeting => meeting.id === activeMeetingId);
+  const data = activeMeeting ? activeMeeting.rows : [];
+
+  // Start/end times and gaps for each row of the active meeting, in table order
+  const schedule = activeMeeting ? computeSchedule(data, activeMeeting.startTime) : [];
+
+  // The item fields configured for the active meeting, and the numbering and section headers of its items
+  const fields = activeMeeting ? meetingFields(activeMeeting) : DEFAULT_FIELDS;
+  const numbers = itemNumbers(data);
+  const sections = sectionStarts(data);
+
+  // State for the table's search, filters and grouping, read from the URL so a filtered view can be shared
+  const [filters, setFilters] = useState(() => filtersFromParams(hashParams()));
+
+  // State for the values of the groups collapsed in a grouped table
+  const [collapsedGroups, setCollapsedGroups] = useState([]);
+
+  // The rows shown in the table, and their groups when the table is grouped.
+  // Section headers only make sense for the full agenda in order, so they're hidden while filtering or grouping.
+  const visibleEntries = filterRows(data, filters, fields);
+  const groups = filters.groupBy ? groupEntries(visibleEntries, filters.groupBy) : null;
+  const showSections = !groups && !isFiltering(filters);
+
+  // Sections suggested in the add and edit forms: the standard ones plus any already used on this agenda
+  const sectionOptions = [...new Set([...DEFAULT_SECTIONS, ...data.map(row => row.section).filter(Boolean)])];
 
   // State for the input fields when adding a new row
-  const [newRow, setNewRow] = useState({ time: '', department: '', issue: '', presenter: '' });
+  const [newRow, setNewRow] = useState(EMPTY_ROW);
 
   // State to keep track of which row is currently being edited
   const [editingRowId, setEditingRowId] = useState(null);
 
   // State for the input fields when editing an existing row
-  const [editedRow, setEditedRow] = useState({ time: '', department: '', issue: '', presenter: '' });
+  const [editedRow, setEditedRow] = useState(EMPTY_ROW);
 
   // State for displaying messages to the user (e.g., success/error for file upload)
   const [message, setMessage] = useState('');
 
-  // State to track if the XLSX library has been successfully loaded
-  const [isXLSXLoaded, setIsXLSXLoaded] = useState(false);
-
   // State to track the ID of the currently highlighted row
   const [highlightedRowId, setHighlightedRowId] = useState(null);
 
-  // Helper function to convert Excel serial time (decimal) to HH:MM string
-  const excelSerialToTime = (serial) => {
-    if (typeof serial !== 'number' || isNaN(serial)) {
-      return String(serial); // Return as is if not a valid number
-    }
+  // State for display preferences such as the 12h/24h time format, loaded from localStorage
+  const [preferences, setPreferences] = useState(loadPreferences);
 
-    // Excel serial time is a fraction of a day
-    const totalSeconds = serial * 24 * 60 * 60;
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
+  // State for the row currently being dragged to a new position, and the row it is hovering over
+  const [draggedRowId, setDraggedRowId] = useState(null);
+  const [dragOverRowId, setDragOverRowId] = useState(null);
 
-    // Format hours and minutes to ensure two digits (e.g., 09 instead of 9)
-    const formattedHours = String(hours).padStart(2, '0');
-    const formattedMinutes = String(minutes).padStart(2, '0');
+  // State for the row whose reorder handle should regain focus after a keyboard move
+  const [focusHandleRowId, setFocusHandleRowId] = useState(null);
 
-    return `${formattedHours}:${formattedMinutes}`;
-  };
+  // State to track the row whose motions are open for editing
+  const [motionsRowId, setMotionsRowId] = useState(null);
+
+  // State to track the row whose public comment speakers are open
+  const [speakersRowId, setSpeakersRowId] = useState(null);
+
+  // State for the undo/redo history, kept in sessionStorage so it survives a reload of this tab
+  const [history, setHistory] = useState(loadHistory);
+
+  // State for the toast notification shown after a change that can be undone, or null when hidden
+  const [toast, setToast] = useState(null);
+
+  // State for the saved meeting templates, loaded from localStorage
+  const [templates, setTemplates] = useState(loadTemplates);
+
+  // State for the department and presenter directory, loaded from localStorage
+  const [directory, setDirectory] = useState(loadDirectory);
+
+  // State for whether the browser is printing, which swaps the editor for the official agenda layout
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  // The storage backend chosen in the preferences, recreated only when the choice changes
+  const { backend: backendType, url: backendUrl } = preferences.storage;
+  const backend = useMemo(() => createBackend({ backend: backendType, url: backendUrl }), [backendType, backendUrl]);
+
+  // State for the backend whose meetings this tab has loaded. Nothing is saved to a backend before its
+  // meetings have loaded. localStorage is read synchronously on the first render, so it starts out loaded.
+  const [loadedBackend, setLoadedBackend] = useState(() => (backend.type === 'local' ? backend : null));
+  const isLoaded = loadedBackend === backend;
+
+  // State for why the meetings couldn't be loaded from the backend, and a counter bumped to retry
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
+  // State for the revision of the saved meetings data this tab is in step with
+  const [revision, setRevision] = useState(() => (backend.type === 'local' ? loadRevision() : 0));
 
-  // Effect to dynamically load the XLSX library from CDN
+  // State for rows changed differently here and in another tab, waiting for the user to pick a version
+  const [conflicts, setConflicts] = useState([]);
+
+  // The row being edited as it was when editing started, to notice another tab changing it meanwhile
+  const editBaseRow = useRef(null);
+
+  // The meetings state this tab last saved or loaded from storage and its revision: the common base when
+  // merging in changes saved by another tab. It starts empty so the first render is saved.
+  const syncedState = useRef({ state: null, revision });
+
+  // Saves waiting for the backend, chained so each one starts from the revision the previous one produced
+  const saveQueue = useRef(Promise.resolve());
+
+  // The latest meetings state, for the storage listener, which is only set up once
+  const latestMeetingsState = useRef(meetingsState);
+  latestMeetingsState.current = meetingsState;
+
+  // Merges meetings saved by another tab into this tab's state.
+  // If this tab has no changes of its own the other tab's state is adopted as is and nothing needs saving;
+  // otherwise the merge is saved on top of it. The selected meeting stays as chosen in this tab.
+  const mergeStoredState = useCallback((stored, storedRevision) => {
+    if (syncedState.current.state && storedRevision <= syncedState.current.revision) return; // Nothing new
+    const local = latestMeetingsState.current;
+    const base = syncedState.current.state || stored;
+    const { meetings: merged, conflicts: newConflicts } = mergeMeetings(base.meetings, local.meetings, stored.meetings);
+    const isUnchanged = sameValue(merged, stored.meetings);
+    const activeMeetingId = merged.some(m => m.id === local.activeMeetingId) ? local.activeMeetingId : stored.activeMeetingId;
+    const next = { meetings: isUnchanged ? stored.meetings : merged, activeMeetingId };
+    syncedState.current = { state: isUnchanged ? next : stored, revision: storedRevision };
+    setRevision(storedRevision);
+    setMeetingsState(next);
+    if (newConflicts.length > 0) setConflicts(prev => [...prev, ...newConflicts]);
+  }, []);
+
+  // Effect to load the meetings whenever another backend is chosen.
+  // If the backend has meetings they replace the ones in this tab; if it's empty this tab's meetings are saved to it.
   useEffect(() => {
-    // Check if XLSX is already available globally to prevent re-loading
-    if (typeof XLSX !== 'undefined') {
-      setIsXLSXLoaded(true);
-      return;
+    if (isLoaded) return undefined;
+    let isCurrent = true;
+    backend.load()
+      .then(({ state, revision: storedRevision }) => {
+        if (!isCurrent) return;
+        if (state) {
+          const local = latestMeetingsState.current;
+          const activeMeetingId = state.meetings.some(m => m.id === local.activeMeetingId) ? local.activeMeetingId : state.activeMeetingId;
+          const loaded = { ...state, activeMeetingId };
+          syncedState.current = { state: loaded, revision: storedRevision };
+          setMeetingsState(loaded);
+        } else {
+          syncedState.current = { state: null, revision: storedRevision };
+        }
+        setRevision(storedRevision);
+        setLoadError(null);
+        setLoadedBackend(backend);
+      })
+      .catch(error => {
+        if (!isCurrent) return;
+        console.error("Failed to load meetings:", error);
+        setLoadError(error.message);
+      });
+    return () => { isCurrent = false; };
+  }, [backend, isLoaded, loadAttempt]);
+
+  // Effect to save meetings to the backend whenever they change.
+  // If another tab or desk saved first the save is refused, and its changes are merged in and saved after.
+  useEffect(() => {
+    if (!isLoaded || meetingsState === syncedState.current.state) return; // Not loaded yet, or already saved
+    saveQueue.current = saveQueue.current
+      .then(async () => {
+        const state = latestMeetingsState.current;
+        if (state === syncedState.current.state) return; // An earlier save in the queue already covered it
+        const result = await backend.save(state, syncedState.current.revision);
+        if (result.saved) {
+          syncedState.current = { state, revision: result.revision };
+          setRevision(result.revision);
+        } else if (result.error) {
+          throw result.error;
+        } else if (result.revision !== syncedState.current.revision) {
+          const stored = await backend.load();
+          mergeStoredState(stored.state, stored.revision);
+          setToast({ message: `Revision ${stored.revision} was saved elsewhere while you were editing. Its changes were merged with yours.` });
+        }
+      })
+      .catch(error => {
+        console.error("Failed to save meetings:", error);
+        setMessage(`Error: Your latest changes couldn't be saved: ${error.message}`);
+      });
+  }, [meetingsState, isLoaded, backend, mergeStoredState]); // Dependency array: this effect runs whenever the meetings state changes
+
+  // Effect to follow changes saved by other tabs, windows and desks as they happen
+  useEffect(() => (isLoaded ? backend.subscribe(mergeStoredState) : undefined), [backend, isLoaded, mergeStoredState]);
+
+  // Effect to save the undo/redo history to sessionStorage whenever it changes
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  // Effect to save preferences to localStorage whenever they change
+  useEffect(() => {
+    savePreferences(preferences);
+  }, [preferences]);
+
+  // Effect to save templates to localStorage whenever they change
+  useEffect(() => {
+    saveTemplates(templates);
+  }, [templates]);
+
+  // Effect to save the directory to localStorage whenever it changes
+  useEffect(() => {
+    saveDirectory(directory);
+  }, [directory]);
+
+  // Effect to keep the filters in the URL, replacing the current history entry so typing doesn't flood it
+  useEffect(() => {
+    replaceHashParams(filtersToParams(filters));
+  }, [filters]);
+
+  // Effect to apply filters from a link pasted into this tab's address bar
+  useEffect(() => {
+    const handleHashChange = () => setFilters(filtersFromParams(hashParams()));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // Effect to pick up preferences changed in another window, such as the official agenda settings
+  useEffect(() => subscribeToPreferences(setPreferences), []);
+
+  // Effect to render the official agenda while the browser prints the page.
+  // The update is flushed so the agenda is in the page before the browser lays it out for printing.
+  useEffect(() => {
+    const handleBeforePrint = () => flushSync(() => setIsPrinting(true));
+    const handleAfterPrint = () => setIsPrinting(false);
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, []);
+
+  // Switches to another meeting, leaving any in-progress edit behind
+  const selectMeeting = (id) => {
+    setMeetingsState(prevState => ({ ...prevState, activeMeetingId: id }));
+    setEditingRowId(null);
+    setHighlightedRowId(null);
+  };
+
+  // Creates a new empty meeting and selects it
+  const addMeeting = () => {
+    const meeting = createMeeting();
+    setMeetingsState(prevState => ({ meetings: [...prevState.meetings, meeting], activeMeetingId: meeting.id }));
+    setEditingRowId(null);
+    setHighlightedRowId(null);
+  };
+
+  // Copies a meeting with all of its rows and selects the copy
+  const copyMeeting = (id) => {
+    const source = meetings.find(meeting => meeting.id === id);
+    if (!source) return;
+    const meeting = duplicateMeeting(source);
+    setMeetingsState(prevState => ({ meetings: [...prevState.meetings, meeting], activeMeetingId: meeting.id }));
+    setEditingRowId(null);
+    setHighlightedRowId(null);
+  };
+
+  // Saves the active meeting's agenda as a template
+  const saveTemplate = (name) => {
+    setTemplates(prev => [...prev, templateFromMeeting(name, activeMeeting)]);
+    setMessage(`Successfully saved the template "${name}" with ${data.length} standing items.`);
+  };
+
+  // Deletes a template; meetings already created from it are kept
+  const deleteTemplate = (id) => {
+    setTemplates(prev => prev.filter(template => template.id !== id));
+  };
+
+  // Creates a meeting from the template on each date and selects the first one.
+  // Dates that already have a meeting of the same body are skipped, so the helper can be rerun safely.
+  const createMeetingsFromTemplate = (template, dates) => {
+    const newDates = dates.filter(date => !meetings.some(m => m.date === date && m.body === template.body));
+    const created = newDates.map(date => withSchedule(meetingFromTemplate(template, { date })));
+    if (created.length > 0) {
+      setMeetingsState(prevState => ({ meetings: [...prevState.meetings, ...created], activeMeetingId: created[0].id }));
+      setEditingRowId(null);
+      setHighlightedRowId(null);
     }
+    const skipped = dates.length - created.length;
+    setMessage(`Successfully created ${created.length} meetings from "${template.name}".${
+      skipped > 0 ? ` Skipped ${skipped} dates that already have a ${template.body} meeting.` : ''
+    }`);
+  };
 
-    const scriptId = 'xlsx-cdn-script'; // Unique ID for the script tag
-    // Check if the script tag already exists in the document head
-    if (document.getElementById(scriptId)) {
-      // If it exists, assume it's either loading or loaded.
-      // We'll rely on the 'isXLSXLoaded' state to confirm readiness.
-      return;
+  // Archives a meeting, or restores an archived one to draft
+  const toggleArchiveMeeting = (id) => {
+    setMeetingsState(prevState => ({
+      ...prevState,
+      meetings: prevState.meetings.map(meeting =>
+        meeting.id === id
+          ? { ...meeting, status: meeting.status === 'archived' ? 'draft' : 'archived' }
+          : meeting
+      ),
+    }));
+  };
+
+  // Applies changes to the active meeting's metadata (title, date, start time, body, location, status).
+  // Accepts an object of changed fields, or an updater function that returns the whole new meeting.
+  const updateActiveMeeting = (changes) => {
+    setMeetingsState(prevState => ({
+      ...prevState,
+      meetings: prevState.meetings.map(meeting => {
+        if (meeting.id !== prevState.activeMeetingId) return meeting;
+        return withSchedule(typeof changes === 'function' ? changes(meeting) : { ...meeting, ...changes });
+      }),
+    }));
+  };
+
+  // Applies changes to the active meeting's fields and records the previous values in the undo history.
+  // New rows are recorded as a patch of just the rows and row fields that changed.
+  const changeActiveMeeting = (label, changes) => {
+    const { rows, ...details } = changes;
+    const before = Object.keys(details).reduce((fields, key) => ({ ...fields, [key]: activeMeeting[key] }), {});
+    const after = { ...details };
+    const rowPatch = rows && diffRows(activeMeeting.rows, rows);
+    if (rowPatch) {
+      before.rows = rowPatch.before;
+      after.rows = rowPatch.after;
     }
+    setHistory(prev => pushEntry(prev, { label, meetingId: activeMeetingId, before, after }));
+    updateActiveMeeting(changes);
+    setToast(null); // An older "Undo" toast would now undo this change instead
+  };
+
+  // Replaces the active meeting's rows with the result of `update` and records it in the undo history.
+  // Row times are recomputed from the running schedule after every change.
+  const changeRows = (label, update) => {
+    const rows = update(data);
+    if (rows === data) return; // Nothing changed, e.g. moving the first row up
+    changeActiveMeeting(label, { rows });
+  };
 
-    const script = document.createElement('script');
-    script.id = scriptId;
-    script.src = "https://unpkg.com/xlsx/dist/xlsx.full.min.js";
-    script.async = true; // Load script asynchronously
+  // Applies one side of a history entry to the meeting it belongs to as it is now, and selects that meeting
+  const applyHistoryFields = (entry, fields) => {
+    setMeetingsState(prevState => {
+      if (!prevState.meetings.some(meeting => meeting.id === entry.meetingId)) return prevState;
+      return {
+        activeMeetingId: entry.meetingId,
+        meetings: prevState.meetings.map(meeting =>
+          meeting.id === entry.meetingId ? withSchedule(applyEntryFields(meeting, fields)) : meeting
+        ),
+      };
+    });
+    setEditingRowId(null);
+    setEditedRow(EMPTY_ROW);
+  };
 
-    // Set onload handler for successful script loading
-    script.onload = () => {
-      setIsXLSXLoaded(true);
-      setMessage('XLSX library loaded successfully.');
-    };
+  // Undoes the latest recorded change
+  const undo = () => {
+    const { history: nextHistory, entry } = undoEntry(history);
+    if (!entry) return;
+    setHistory(nextHistory);
+    applyHistoryFields(entry, entry.before);
+    setMessage(`Undid: ${entry.label}`);
+  };
 
-    // Set onerror handler for failed script loading
-    script.onerror = () => {
-      setMessage('Error: Failed to load XLSX library from CDN. Please check your network connection.');
-      setIsXLSXLoaded(false);
-    };
+  // Always points at the latest undo, for callbacks created before later renders (like the toast's Undo button)
+  const latestUndo = useRef(undo);
+  latestUndo.current = undo;
 
-    // Append the script to the document's head
-    document.head.appendChild(script);
+  // Redoes the latest undone change
+  const redo = () => {
+    const { history: nextHistory, entry } = redoEntry(history);
+    if (!entry) return;
+    setHistory(nextHistory);
+    applyHistoryFields(entry, entry.after);
+    setMessage(`Redid: ${entry.label}`);
+  };
 
-    // Cleanup function: remove the script when the component unmounts
-    return () => {
-      const existingScript = document.getElementById(scriptId);
-      if (existingScript) {
-        document.head.removeChild(existingScript);
+  // Effect to register Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, and Ctrl+Y) for undo and redo.
+  // Text fields keep the browser's own undo. Re-registered on every render so it sees the latest history.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
       }
     };
-  }, []); // Empty dependency array ensures this effect runs only once on mount
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
-  // Effect to save data to localStorage whenever the 'data' state changes
-  useEffect(() => {
-    try {
-      localStorage.setItem('dynamicTableData', JSON.stringify(data));
-    } catch (error) {
-      console.error("Failed to save data to localStorage:", error);
+  // Hides the toast notification
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Adds a meeting restored from a JSON export and selects it.
+  // If a meeting with the same id exists, the user chooses between replacing it, which restores the backup and
+  // can be undone, and importing the file as a separate copy.
+  const importMeeting = (importedMeeting) => {
+    const restored = migrateMeetingSchedule(importedMeeting);
+    const existing = meetings.find(m => m.id === restored.id);
+    const isReplacing = Boolean(existing) && window.confirm(
+      `"${existing.title}" is already in your meetings. Replace it with the version in this file? `
+      + 'Its agenda and published versions will be overwritten. Choose Cancel to import the file as a separate copy.'
+    );
+    const meeting = existing && !isReplacing ? { ...restored, id: generateId() } : restored;
+    setMeetingsState(prevState => ({
+      meetings: isReplacing
+        ? prevState.meetings.map(m => (m.id === meeting.id ? meeting : m))
+        : [...prevState.meetings, meeting],
+      activeMeetingId: meeting.id,
+    }));
+    setEditingRowId(null);
+    setHighlightedRowId(null);
+    if (isReplacing) {
+      setHistory(prev => pushEntry(prev, replacementEntry(`Restore "${meeting.title}" from a file`, existing, meeting)));
+      setToast({ message: `Restored "${meeting.title}" from the file.`, actionLabel: 'Undo', onAction: () => latestUndo.current() });
+      return;
     }
-  }, [data]); // Dependency array: this effect runs whenever 'data' changes
+    setMessage(`Successfully imported "${meeting.title}" with ${meeting.rows.length} rows.`);
+  };
+
+  // Effect to move focus back to a reorder handle after its row was moved with the keyboard
+  useEffect(() => {
+    if (focusHandleRowId === null) return;
+    const handle = document.querySelector(`[data-reorder-handle="${focusHandleRowId}"]`);
+    if (handle) handle.focus();
+    setFocusHandleRowId(null);
+  }, [focusHandleRowId]);
 
   // Handles changes in the input fields for adding a new row
   const handleNewRowChange = (e) => {
@@ -113,65 +501,188 @@ function App() {
 
   // Handles changes in the input fields for editing an existing row
   const handleEditedRowChange = (e) => {
-    const { name, value } = e.target;
-    setEditedRow(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setEditedRow(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
 
-  // Adds a new row to the table
+  // Adds a new row to the end of the agenda.
+  // If a time is entered the item is pinned to it; otherwise it starts when the previous item ends.
+  // Department and presenter names are replaced by their directory spelling.
   const addRow = () => {
-    // Check if all fields for the new row are filled
-    if (newRow.time && newRow.department && newRow.issue && newRow.presenter) {
-      // Create a unique ID for the new row using a timestamp
-      const newId = Date.now();
-      // Add the new row to the data state
-      setData(prevData => [...prevData, { id: newId, ...newRow }]);
+    const row = normalizeRow(newRow, directory);
+    // Check if all required fields for the new row are filled
+    const missing = missingFieldValues(fields, row);
+    if (missing.length === 0) {
+      // Parse a pinned time into the stored HH:MM form, rejecting anything that isn't a valid time
+      const time = newRow.time ? normalizeTime(newRow.time) : '';
+      if (time === null) {
+        setMessage(`Error: "${newRow.time}" is not a valid time. Use a format like 9:05 am or 14:30.`);
+        return;
+      }
+      const duration = newRow.duration === '' ? DEFAULT_DURATION : parseDuration(newRow.duration);
+      if (duration === null) {
+        setMessage(`Error: "${newRow.duration}" is not a valid duration. Enter a whole number of minutes.`);
+        return;
+      }
+      // Add the new row to the data state, with the same kind of ID imported rows get
+      changeRows(`Add "${row.issue}"`, prevData => [...prevData, { id: generateId(), ...row, time, duration, pinned: Boolean(time) }]);
       // Clear the input fields for adding a new row
-      setNewRow({ time: '', department: '', issue: '', presenter: '' });
+      setNewRow(EMPTY_ROW);
       setMessage(''); // Clear any previous messages
     } else {
-      // Set a message if any field is empty
-      setMessage("Please fill all fields to add a new row.");
+      // Set a message if any required field is empty
+      setMessage(`Please fill in ${describeFields(missing)} to add a new row.`);
     }
   };
 
   // Starts the editing process for a specific row
   const startEdit = (row) => {
     setEditingRowId(row.id); // Set the ID of the row being edited
+    editBaseRow.current = row;
     // Populate the editedRow state with the current row's data
-    setEditedRow({ time: row.time, department: row.department, issue: row.issue, presenter: row.presenter });
+    setEditedRow(fields.reduce((values, field) => ({ ...values, [field.key]: row[field.key] ?? '' }), {
+      time: row.time,
+      duration: String(rowDuration(row)),
+      pinned: Boolean(row.pinned),
+      section: row.section || '',
+    }));
     setHighlightedRowId(null); // Unhighlight any row when starting edit
   };
 
   // Saves the changes made to an edited row
   const saveEdit = (id) => {
-    setData(prevData =>
+    // Reject invalid values and stay in editing mode so the user can correct them.
+    // The time only matters for pinned rows; unpinned rows get theirs from the schedule.
+    const time = editedRow.pinned ? normalizeTime(editedRow.time) : editedRow.time;
+    if (time === null) {
+      setMessage(`Error: "${editedRow.time}" is not a valid time. Use a format like 9:05 am or 14:30.`);
+      return;
+    }
+    const duration = parseDuration(editedRow.duration);
+    if (duration === null) {
+      setMessage(`Error: "${editedRow.duration}" is not a valid duration. Enter a whole number of minutes.`);
+      return;
+    }
+    const edited = normalizeRow(editedRow, directory);
+    const missing = missingFieldValues(fields, edited);
+    if (missing.length > 0) {
+      setMessage(`Please fill in ${describeFields(missing)} to save this row.`);
+      return;
+    }
+    changeRows(`Edit "${edited.issue}"`, prevData =>
       prevData.map(row =>
         // If the row ID matches, update the row with the edited data; otherwise, keep the original row
-        row.id === id ? { ...row, ...editedRow } : row
+        row.id === id ? { ...row, ...edited, time, duration } : row
       )
     );
+    // If another tab changed what this form edits while it was open, ask which version to keep.
+    // An unpinned row's time follows the schedule, so it only counts for pinned rows.
+    const current = data.find(row => row.id === id);
+    const editableKeys = [...fields.map(field => field.key), 'section', 'duration', 'pinned', ...(editedRow.pinned ? ['time'] : [])];
+    if (current && changedKeys(editBaseRow.current, current).some(key => editableKeys.includes(key))) {
+      setConflicts(prev => [...prev, { meetingId: activeMeetingId, rowId: id, mine: { ...current, ...edited, time, duration }, theirs: current }]);
+    }
+    setMessage(''); // Clear any previous validation message
     setEditingRowId(null); // Exit editing mode
-    setEditedRow({ time: '', department: '', issue: '', presenter: '' }); // Clear edited row state
+    setEditedRow(EMPTY_ROW); // Clear edited row state
+  };
+
+  // Settles the first waiting conflict. This tab's version is already in place, so only "theirs" changes the row,
+  // and only in the fields the two versions disagree on.
+  const resolveConflict = (choice) => {
+    const [conflict, ...rest] = conflicts;
+    if (choice === 'theirs') {
+      setMeetingsState(prevState => ({
+        ...prevState,
+        meetings: prevState.meetings.map(meeting => (
+          meeting.id === conflict.meetingId
+            ? withSchedule({
+              ...meeting,
+              rows: meeting.rows.map(row => (row.id === conflict.rowId
+                ? changedKeys(conflict.mine, conflict.theirs).reduce((fields, key) => ({ ...fields, [key]: conflict.theirs[key] }), row)
+                : row)),
+            })
+            : meeting
+        )),
+      }));
+    }
+    setConflicts(rest);
   };
 
   // Cancels the editing process
   const cancelEdit = () => {
     setEditingRowId(null); // Exit editing mode
-    setEditedRow({ time: '', department: '', issue: '', presenter: '' }); // Clear edited row state
+    setEditedRow(EMPTY_ROW); // Clear edited row state
+  };
+
+  // Saves the motions recorded on a row and closes the motions editor
+  const saveMotions = (id, motions) => {
+    const row = data.find(r => r.id === id);
+    changeRows(`Record motions on "${row.issue}"`, prevData =>
+      prevData.map(r => (r.id === id ? { ...r, motions } : r))
+    );
+    setMotionsRowId(null);
+  };
+
+  // Saves the public comment sign-up list of a row. Speakers change as the meeting runs, so this isn't undoable.
+  const saveSpeakers = (id, speakers) => {
+    updateActiveMeeting(meeting => ({
+      ...meeting,
+      rows: meeting.rows.map(r => (r.id === id ? { ...r, speakers } : r)),
+    }));
+  };
+
+  // Moves a row to a new position in the agenda; later start times follow automatically
+  const reorderRow = (id, toIndex) => {
+    const row = data.find(r => r.id === id);
+    changeRows(`Move "${row.issue}"`, prevData => moveRow(prevData, prevData.findIndex(r => r.id === id), toIndex));
+  };
+
+  // Handles arrow keys on a row's reorder handle
+  const handleReorderKeyDown = (e, id, index) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    reorderRow(id, e.key === 'ArrowUp' ? index - 1 : index + 1);
+    setFocusHandleRowId(id);
+  };
+
+  // Drag-and-drop handlers for reordering rows
+  const handleDragStart = (e, id) => {
+    setDraggedRowId(id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(id)); // Required for dragging to start in Firefox
+  };
+
+  const handleDragOver = (e, id) => {
+    if (draggedRowId === null) return;
+    e.preventDefault(); // Allow dropping on this row
+    setDragOverRowId(id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedRowId(null);
+    setDragOverRowId(null);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedRowId !== null) reorderRow(draggedRowId, index);
+    handleDragEnd();
   };
 
-  // Deletes a row from the table with confirmation
+  // Deletes a row from the table. Instead of asking for confirmation, a toast offers to undo the delete.
   const deleteRow = (id) => {
-    // Use the global confirm dialog for confirmation
-    const isConfirmed = window.confirm("Are you sure you want to delete this row?");
-    
-    if (isConfirmed) {
-      // Filter out the row with the matching ID to delete it
-      setData(prevData => prevData.filter(row => row.id !== id));
-      if (highlightedRowId === id) { // If the deleted row was highlighted, unhighlight it
-        setHighlightedRowId(null);
-      }
+    const row = data.find(r => r.id === id);
+    changeRows(`Delete "${row.issue}"`, prevData => prevData.filter(r => r.id !== id));
+    if (highlightedRowId === id) { // If the deleted row was highlighted, unhighlight it
+      setHighlightedRowId(null);
     }
+    setToast({ message: `Deleted "${row.issue}".`, actionLabel: 'Undo', onAction: () => latestUndo.current() });
+  };
+
+  // Collapses or expands a group of the grouped table
+  const toggleGroup = (value) => {
+    setCollapsedGroups(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]));
   };
 
   // Handles clicking on a table row to highlight it
@@ -180,204 +691,403 @@ function App() {
     setHighlightedRowId(prevId => (prevId === id ? null : id));
   };
 
-  // Handles the Excel file upload
-  const handleFileUpload = (event) => {
-    // Prevent file upload if XLSX library is not loaded
-    if (!isXLSXLoaded) {
-      setMessage('XLSX library is still loading or failed to load. Please wait a moment and try again.');
-      return;
-    }
-
-    const file = event.target.files[0];
-    if (file) {
-      // Check if the file type is an Excel spreadsheet
-      if (!file.name.endsWith('.xlsx') && !file.name.endsWith('.xls')) {
-        setMessage('Error: Please upload a valid Excel file (.xlsx or .xls).');
-        return;
-      }
+  // Adds rows from the import wizard to the active meeting using the chosen mode (append, replace or merge).
+  // When the agenda is empty or replaced, the meeting starts at the first imported time so the file's times are kept.
+  const handleImport = (importedRows, mode, skippedCount) => {
+    const { rows, added, updated } = combineImportedRows(data, importedRows, mode);
+    const firstTime = importedRows.length > 0 ? parseTime(importedRows[0].time) : null;
+    const startsFresh = mode === 'replace' || data.length === 0;
+    changeActiveMeeting(`Import ${importedRows.length} rows`, {
+      startTime: startsFresh && firstTime !== null ? formatTime(firstTime, '24h') : activeMeeting.startTime,
+      rows,
+    });
+    const skipped = skippedCount > 0 ? ` Skipped ${skippedCount} rows with errors.` : '';
+    setMessage(`Successfully imported ${added} new and ${updated} updated rows.${skipped}`);
+  };
 
-      const reader = new FileReader();
-
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          const sheetName = workbook.SheetNames[0]; // Get the first sheet
-          const worksheet = workbook.Sheets[sheetName];
-          const json = XLSX.utils.sheet_to_json(worksheet, { header: 1 }); // Get data as array of arrays
-
-          if (json.length === 0) {
-            setMessage('Error: The uploaded Excel file is empty or could not be parsed.');
-            return;
-          }
-
-          // Assuming the first row contains headers: Time, Department, Issue, Presenter
-          const headers = json[0].map(header => String(header).toLowerCase().trim());
-          const expectedHeaders = ['time', 'department', 'issue', 'presenter'];
-
-          // Basic validation for headers
-          const hasAllExpectedHeaders = expectedHeaders.every(header => headers.includes(header));
-
-          if (!hasAllExpectedHeaders) {
-            setMessage('Error: Excel file headers do not match expected: Time, Department, Issue, Presenter. Please check your file.');
-            return;
-          }
-
-          const newRows = json.slice(1).map((rowArray) => {
-            const newRowData = {};
-            expectedHeaders.forEach((expectedHeader) => {
-              const excelHeaderIndex = headers.indexOf(expectedHeader);
-              let cellValue = '';
-              if (excelHeaderIndex !== -1 && rowArray[excelHeaderIndex] !== undefined) {
-                cellValue = rowArray[excelHeaderIndex];
-              }
-
-              // Special handling for 'time' column
-              if (expectedHeader === 'time') {
-                newRowData[expectedHeader] = excelSerialToTime(cellValue);
-              } else {
-                newRowData[expectedHeader] = String(cellValue);
-              }
-            });
-            return { id: Date.now() + Math.random(), ...newRowData }; // Add unique ID
-          }).filter(row => expectedHeaders.some(h => row[h] && row[h].trim() !== '')); // Filter out completely empty rows
-
-          if (newRows.length > 0) {
-            setData(prevData => [...prevData, ...newRows]); // Append new rows
-            setMessage(`Successfully uploaded ${newRows.length} rows from Excel.`);
-          } else {
-            setMessage('No valid data rows found in the Excel file after parsing.');
-          }
-
-        } catch (error) {
-          console.error("Error reading Excel file:", error);
-          setMessage(`Error: Failed to read Excel file: ${error.message}`);
-        }
-      };
+  // Renders one agenda row with its section header and motions editor. `index` is the row's position in the
+  // agenda, which may differ from its position on screen while the table is filtered or grouped.
+  const renderRow = ({ row, index }) => (
+    <React.Fragment key={row.id}>
+      {showSections && sections[row.id] && (
+        <tr className="bg-gray-100">
+          <th colSpan={fields.length + 5} className="px-6 py-2 text-left text-sm font-bold text-gray-700 uppercase tracking-wider">
+            {sections[row.id].number}. {sections[row.id].section}
+          </th>
+        </tr>
+      )}
+      <tr
+        onClick={() => handleRowClick(row.id)}
+        onDragOver={(e) => handleDragOver(e, row.id)}
+        onDrop={(e) => handleDrop(e, index)}
+        className={`cursor-pointer transition duration-150 ease-in-out ${
+          highlightedRowId === row.id
+            ? 'bg-yellow-200'
+            : activeMeeting.currentRowId === row.id ? 'bg-emerald-100' : 'hover:bg-gray-50'
+        } ${draggedRowId === row.id ? 'opacity-50' : ''} ${
+          dragOverRowId === row.id && draggedRowId !== row.id ? 'border-t-2 border-indigo-400' : ''
+        }`}
+      >
+        <td
+          className="px-2 py-4 whitespace-nowrap text-gray-400 border-l-4 border-transparent"
+          style={{ borderLeftColor: departmentColor(directory.departments, row.department) }}
+        >
+          <button
+            type="button"
+            draggable={editingRowId === null}
+            data-reorder-handle={row.id}
+            aria-label={`Reorder ${row.issue}. Use the up and down arrow keys to move.`}
+            onClick={(e) => e.stopPropagation()} // Stop propagation to prevent row highlight
+            onKeyDown={(e) => handleReorderKeyDown(e, row.id, index)}
+            onDragStart={(e) => handleDragStart(e, row.id)}
+            onDragEnd={handleDragEnd}
+            className="cursor-move px-1 rounded hover:text-gray-700 focus:outline-none focus:ring-1 focus:ring-indigo-400"
+          >
+            ⋮⋮
+          </button>
+        </td>
+        {editingRowId === row.id ? (
+          <>
+            <td className="px-3 py-4 whitespace-nowrap">
+              <input
+                type="text"
+                name="section"
+                placeholder="Section"
+                aria-label="Section"
+                list="agenda-sections"
+                value={editedRow.section}
+                onChange={handleEditedRowChange}
+                className="p-2 border border-gray-300 rounded-md w-32 text-xs focus:outline-none focus:ring-1 focus:ring-indigo-400"
+              />
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap">
+              <input
+                type="text"
+                name="time"
+                placeholder="e.g. 9:05 am"
+                value={editedRow.pinned ? editedRow.time : displayTime(row.time, preferences.timeFormat)}
+                onChange={handleEditedRowChange}
+                disabled={!editedRow.pinned}
+                className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400 disabled:bg-gray-100"
+              />
+              <label className="flex items-center mt-1 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  name="pinned"
+                  checked={editedRow.pinned}
+                  onChange={handleEditedRowChange}
+                  className="mr-1"
+                />
+                Pin to this time
+              </label>
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap">
+              <input
+                type="number"
+                name="duration"
+                min="0"
+                value={editedRow.duration}
+                onChange={handleEditedRowChange}
+                className="p-2 border border-gray-300 rounded-md w-20 focus:outline-none focus:ring-1 focus:ring-indigo-400"
+              />
+            </td>
+            {fields.map(field => (
+              <td key={field.key} className="px-6 py-4 whitespace-nowrap">
+                <FieldInput
+                  field={field}
+                  list={DIRECTORY_LISTS[field.key]}
+                  value={editedRow[field.key]}
+                  onChange={handleEditedRowChange}
+                  className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400"
+                />
+              </td>
+            ))}
+            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+              <div className="flex space-x-2">
+                <button
+                  onClick={(e) => { e.stopPropagation(); saveEdit(row.id); }} // Stop propagation to prevent row highlight
+                  className="text-green-600 hover:text-green-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Save
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); cancelEdit(); }} // Stop propagation to prevent row highlight
+                  className="text-gray-500 hover:text-gray-700 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Cancel
+                </button>
+              </div>
+            </td>
+          </>
+        ) : (
+          <>
+            <td className="px-3 py-4 whitespace-nowrap text-sm font-semibold text-gray-700">{numbers[row.id]}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+              {displayTime(row.time, preferences.timeFormat)}
+              {row.pinned && <span className="ml-1" title="Pinned time">📌</span>}
+              {row.actualStart && (
+                <span className="block text-xs text-gray-500">
+                  Actual {new Date(row.actualStart).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  {row.actualEnd && `–${new Date(row.actualEnd).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`}
+                </span>
+              )}
+              {schedule[index].gap > 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-blue-100 text-blue-800">
+                  {schedule[index].gap} min gap
+                </span>
+              )}
+              {schedule[index].gap < 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+                  Overrun {-schedule[index].gap} min
+                </span>
+              )}
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{rowDuration(row)}</td>
+            {fields.map(field => (
+              <td
+                key={field.key}
+                className={`px-6 py-4 text-sm text-gray-900 ${field.type === 'textarea' ? 'min-w-[16rem]' : 'whitespace-nowrap'}`}
+              >
+                {field.type === 'url' && row[field.key] ? (
+                  <a
+                    href={row[field.key]}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={(e) => e.stopPropagation()} // Stop propagation to prevent row highlight
+                    className="text-indigo-600 hover:text-indigo-900 underline"
+                  >
+                    Open
+                  </a>
+                ) : row[field.key]}
+              </td>
+            ))}
+            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+              <div className="flex space-x-2">
+                <button
+                  onClick={(e) => { e.stopPropagation(); setMotionsRowId(prevId => (prevId === row.id ? null : row.id)); }} // Stop propagation to prevent row highlight
+                  className="text-emerald-600 hover:text-emerald-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Motions{row.motions && row.motions.length > 0 ? ` (${row.motions.length})` : ''}
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); setSpeakersRowId(prevId => (prevId === row.id ? null : row.id)); }} // Stop propagation to prevent row highlight
+                  className="text-sky-600 hover:text-sky-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Speakers{row.speakers && row.speakers.length > 0 ? ` (${row.speakers.length})` : ''}
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); startEdit(row); }} // Stop propagation to prevent row highlight
+                  className="text-indigo-600 hover:text-indigo-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); deleteRow(row.id); }} // Stop propagation to prevent row highlight
+                  className="text-red-600 hover:text-red-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
+                >
+                  Delete
+                </button>
+              </div>
+            </td>
+          </>
+        )}
+      </tr>
+      {motionsRowId === row.id && (
+        <tr>
+          <td colSpan={fields.length + 5} className="px-6 py-4">
+            <MotionsEditor
+              row={row}
+              roster={activeMeeting.roster || []}
+              onSave={(motions) => saveMotions(row.id, motions)}
+              onClose={() => setMotionsRowId(null)}
+            />
+          </td>
+        </tr>
+      )}
+      {speakersRowId === row.id && (
+        <tr>
+          <td colSpan={fields.length + 5} className="px-6 py-4">
+            <SpeakerQueue
+              row={row}
+              meeting={activeMeeting}
+              onChangeSpeakers={(speakers) => saveSpeakers(row.id, speakers)}
+              onChangeMinutes={(minutes) => updateActiveMeeting({ speakerMinutes: minutes })}
+              onClose={() => setSpeakersRowId(null)}
+              setMessage={setMessage}
+            />
+          </td>
+        </tr>
+      )}
+    </React.Fragment>
+  );
 
-      reader.readAsArrayBuffer(file); // Read file as ArrayBuffer for XLSX
-    } else {
-      setMessage('No file selected.');
-    }
+  // Switches to another storage backend; its meetings load before the editor comes back
+  const changeStorage = (storage) => {
+    setPreferences(prev => ({ ...prev, storage }));
   };
 
+  // Until the chosen backend has loaded there are no meetings to edit, only the storage settings
+  if (!isLoaded) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8 font-sans antialiased">
+        <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6 sm:p-8">
+          <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-800 mb-8 text-center">
+            Council Agenda Table
+          </h1>
+          <StorageSettings
+            key={`${backendType} ${backendUrl}`}
+            settings={preferences.storage}
+            isLoaded={false}
+            loadError={loadError}
+            onChange={changeStorage}
+            onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+            open
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8 font-sans antialiased">
-      <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6 sm:p-8">
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8 font-sans antialiased print:bg-none print:bg-white print:p-0">
+      {/* The editor is replaced by the official agenda layout when printing */}
+      <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6 sm:p-8 print:hidden">
         <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-800 mb-8 text-center">
           Council Agenda Table
         </h1>
 
+        <MeetingList
+          meetings={meetings}
+          activeMeetingId={activeMeetingId}
+          onSelect={selectMeeting}
+          onCreate={addMeeting}
+          onDuplicate={copyMeeting}
+          onToggleArchive={toggleArchiveMeeting}
+        />
+
+        <TemplatePanel
+          templates={templates}
+          activeMeeting={activeMeeting}
+          onSaveTemplate={saveTemplate}
+          onDeleteTemplate={deleteTemplate}
+          onCreateMeetings={createMeetingsFromTemplate}
+        />
+
+        {activeMeeting && <MeetingDetails meeting={activeMeeting} onChange={updateActiveMeeting} />}
+
+        {activeMeeting && (
+          <FieldsEditor fields={fields} onChange={fields => updateActiveMeeting({ fields })} />
+        )}
+
+        <DirectoryEditor directory={directory} onChange={setDirectory} />
+
+        <StorageSettings key={`${backendType} ${backendUrl}`} settings={preferences.storage} isLoaded onChange={changeStorage} />
+
+        {activeMeeting && (
+          <RosterEditor roster={activeMeeting.roster || []} onChange={roster => updateActiveMeeting({ roster })} />
+        )}
+
+        {activeMeeting && (
+          <LiveMeeting
+            meeting={activeMeeting}
+            schedule={schedule}
+            timeFormat={preferences.timeFormat}
+            onStart={() => updateActiveMeeting(meeting => startLive(meeting))}
+            onNext={() => updateActiveMeeting(meeting => goToNext(finishSpeaker(meeting)))}
+            onPrevious={() => updateActiveMeeting(meeting => goToPrevious(cancelSpeaker(meeting)))}
+            onEnd={() => updateActiveMeeting(meeting => endLive(finishSpeaker(meeting)))}
+            onStartSpeaker={(speakerId) => updateActiveMeeting(meeting => startSpeaker(meeting, meeting.currentRowId, speakerId))}
+            onFinishSpeaker={() => updateActiveMeeting(meeting => finishSpeaker(meeting))}
+            onCancelSpeaker={() => updateActiveMeeting(meeting => cancelSpeaker(meeting))}
+          />
+        )}
+
+        {/* Undo/redo and time format preference */}
+        <div className="flex flex-wrap justify-end items-center gap-2 mb-2 text-sm text-gray-600">
+          <button
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title={history.past.length > 0 ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title={history.future.length > 0 ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 mr-4"
+          >
+            ↷ Redo
+          </button>
+          <span title="Saved changes so far, counted across all open tabs" className="mr-4 text-xs text-gray-500">
+            Revision {revision}
+          </span>
+          <label htmlFor="time-format" className="mr-2">Time format</label>
+          <select
+            id="time-format"
+            value={preferences.timeFormat}
+            onChange={(e) => setPreferences(prev => ({ ...prev, timeFormat: e.target.value }))}
+            className="p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400"
+          >
+            {TIME_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+          </select>
+        </div>
+
+        <AgendaFilters rows={data} fields={fields} filters={filters} onChange={setFilters} shownCount={visibleEntries.length} />
+
         {/* Data Table Section - Moved up */}
         <div className="overflow-x-auto bg-white rounded-lg shadow-md mb-8"> {/* Added mb-8 for spacing */}
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                <th className="px-2 py-3"><span className="sr-only">Reorder</span></th>
+                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">No.</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issue</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Presenter</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Minutes</th>
+                {fields.map(field => (
+                  <th key={field.key} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {field.label}
+                  </th>
+                ))}
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {data.length === 0 ? (
                 <tr>
-                  <td colSpan="5" className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center">
+                  <td colSpan={fields.length + 5} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center">
                     No data available. Add some entries or upload an Excel file!
                   </td>
                 </tr>
-              ) : (
-                data.map((row) => (
-                  <tr
-                    key={row.id}
-                    onClick={() => handleRowClick(row.id)}
-                    className={`cursor-pointer transition duration-150 ease-in-out ${
-                      highlightedRowId === row.id ? 'bg-yellow-200' : 'hover:bg-gray-50'
-                    }`}
-                  >
-                    {editingRowId === row.id ? (
-                      <>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <input
-                            type="text"
-                            name="time"
-                            placeholder="HH:MM"
-                            value={editedRow.time}
-                            onChange={handleEditedRowChange}
-                            className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400"
-                          />
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <input
-                            type="text"
-                            name="department"
-                            value={editedRow.department}
-                            onChange={handleEditedRowChange}
-                            className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400"
-                          />
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <input
-                            type="text"
-                            name="issue"
-                            value={editedRow.issue}
-                            onChange={handleEditedRowChange}
-                            className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400"
-                          />
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <input
-                            type="text"
-                            name="presenter"
-                            value={editedRow.presenter}
-                            onChange={handleEditedRowChange}
-                            className="p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400"
-                          />
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={(e) => { e.stopPropagation(); saveEdit(row.id); }} // Stop propagation to prevent row highlight
-                              className="text-green-600 hover:text-green-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
-                            >
-                              Save
-                            </button>
-                            <button
-                              onClick={(e) => { e.stopPropagation(); cancelEdit(); }} // Stop propagation to prevent row highlight
-                              className="text-gray-500 hover:text-gray-700 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
-                            >
-                              Cancel
-                            </button>
-                          </div>
-                        </td>
-                      </>
-                    ) : (
-                      <>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.time}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.department}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.issue}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.presenter}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={(e) => { e.stopPropagation(); startEdit(row); }} // Stop propagation to prevent row highlight
-                              className="text-indigo-600 hover:text-indigo-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
-                            >
-                              Edit
-                            </button>
-                            <button
-                              onClick={(e) => { e.stopPropagation(); deleteRow(row.id); }} // Stop propagation to prevent row highlight
-                              className="text-red-600 hover:text-red-900 font-semibold transition duration-150 ease-in-out transform hover:scale-105"
-                            >
-                              Delete
-                            </button>
-                          </div>
-                        </td>
-                      </>
-                    )}
-                  </tr>
+              ) : visibleEntries.length === 0 ? (
+                <tr>
+                  <td colSpan={fields.length + 5} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center">
+                    No items match the current filters.
+                  </td>
+                </tr>
+              ) : groups ? (
+                groups.map(group => (
+                  <React.Fragment key={group.value}>
+                    <tr className="bg-indigo-50">
+                      <th colSpan={fields.length + 5} className="px-2 py-2 text-left text-sm">
+                        <button
+                          onClick={() => toggleGroup(group.value)}
+                          aria-expanded={!collapsedGroups.includes(group.value)}
+                          className="font-bold text-indigo-900 hover:text-indigo-700"
+                        >
+                          {collapsedGroups.includes(group.value) ? '▸' : '▾'} {group.value || `No ${filters.groupBy}`}
+                        </button>
+                        <span className="ml-2 font-normal text-gray-600">
+                          {group.entries.length} {group.entries.length === 1 ? 'item' : 'items'} · {group.totalMinutes} min
+                        </span>
+                      </th>
+                    </tr>
+                    {!collapsedGroups.includes(group.value) && group.entries.map(renderRow)}
+                  </React.Fragment>
                 ))
+              ) : (
+                visibleEntries.map(renderRow)
               )}
             </tbody>
           </table>
@@ -386,40 +1096,62 @@ function App() {
         {/* Add New Row Section - Moved down */}
         <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
           <h2 className="text-2xl font-bold text-blue-800 mb-4">Add New Entry</h2>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
             <input
               type="text"
               name="time"
-              placeholder="Time (HH:MM)"
+              placeholder="Pinned time (optional)"
+              title="Leave blank to start when the previous item ends"
               value={newRow.time}
               onChange={handleNewRowChange}
               className="p-3 border border-blue-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200"
             />
             <input
-              type="text"
-              name="department"
-              placeholder="Department"
-              value={newRow.department}
-              onChange={handleNewRowChange}
-              className="p-3 border border-blue-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200"
-            />
-            <input
-              type="text"
-              name="issue"
-              placeholder="Issue"
-              value={newRow.issue}
+              type="number"
+              name="duration"
+              min="0"
+              placeholder={`Minutes (${DEFAULT_DURATION})`}
+              value={newRow.duration}
               onChange={handleNewRowChange}
               className="p-3 border border-blue-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200"
             />
             <input
               type="text"
-              name="presenter"
-              placeholder="Presenter"
-              value={newRow.presenter}
+              name="section"
+              placeholder="Section (optional)"
+              list="agenda-sections"
+              value={newRow.section}
               onChange={handleNewRowChange}
               className="p-3 border border-blue-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200"
             />
+            {fields.map(field => (
+              <FieldInput
+                key={field.key}
+                field={field}
+                list={DIRECTORY_LISTS[field.key]}
+                value={newRow[field.key]}
+                onChange={handleNewRowChange}
+                className="p-3 border border-blue-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 transition duration-200"
+              />
+            ))}
           </div>
+          {/* Suggested sections for the add and edit forms */}
+          <datalist id="agenda-sections">
+            {sectionOptions.map(section => <option key={section} value={section} />)}
+          </datalist>
+          {/* Directory entries for the department and presenter inputs */}
+          <datalist id="directory-departments">
+            {directory.departments.map(department => (
+              <option key={department.id} value={department.name}>{department.abbreviation}</option>
+            ))}
+          </datalist>
+          <datalist id="directory-presenters">
+            {directory.presenters.map(presenter => (
+              <option key={presenter.id} value={presenter.name}>
+                {[presenter.title, presenter.department].filter(Boolean).join(' · ')}
+              </option>
+            ))}
+          </datalist>
           <button
             onClick={addRow}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
@@ -428,26 +1160,26 @@ function App() {
           </button>
         </div>
 
+        {activeMeeting && (
+          <VersionHistory
+            meeting={activeMeeting}
+            timeFormat={preferences.timeFormat}
+            onPublish={() => updateActiveMeeting(meeting => publishVersion(meeting))}
+          />
+        )}
+
+        {activeMeeting && (
+          <ExportPanel
+            meeting={activeMeeting}
+            onImportMeeting={importMeeting}
+            setMessage={setMessage}
+          />
+        )}
+
         {/* Upload Excel Section - Moved down */}
         <div className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner">
-          <h2 className="text-2xl font-bold text-green-800 mb-4">Upload Excel Document</h2>
-          <input
-            type="file"
-            accept=".xlsx, .xls"
-            onChange={handleFileUpload}
-            className="block w-full text-sm text-gray-700
-                       file:mr-4 file:py-2 file:px-4
-                       file:rounded-full file:border-0
-                       file:text-sm file:font-semibold
-                       file:bg-green-50 file:text-green-700
-                       hover:file:bg-green-100 mb-4"
-            disabled={!isXLSXLoaded} /* Disable input until XLSX is loaded */
-          />
-          {!isXLSXLoaded && (
-            <p className="mt-2 text-sm text-center font-medium text-yellow-700">
-              Loading XLSX library...
-            </p>
-          )}
+          <h2 className="text-2xl font-bold text-green-800 mb-4">Import Spreadsheet</h2>
+          <ImportWizard fields={fields} directory={directory} onImport={handleImport} setMessage={setMessage} />
           {message && (
             <p className="mt-2 text-sm text-center font-medium"
                style={{ color: message.startsWith('Error') ? 'red' : (message.startsWith('Successfully') ? 'green' : 'inherit') }}>
@@ -456,6 +1188,28 @@ function App() {
           )}
         </div>
       </div>
+
+      {isPrinting && activeMeeting && (
+        <div className="hidden print:block">
+          <AgendaDocument meeting={activeMeeting} settings={preferences.agenda} timeFormat={preferences.timeFormat} />
+        </div>
+      )}
+
+      <UpdatePrompt />
+
+      {conflicts.length > 0 && (
+        <ConflictDialog
+          conflict={conflicts[0]}
+          fields={meetingFields(meetings.find(m => m.id === conflicts[0].meetingId) || activeMeeting)}
+          timeFormat={preferences.timeFormat}
+          remaining={conflicts.length - 1}
+          onResolve={resolveConflict}
+        />
+      )}
+
+      {toast && !isPrinting && (
+        <Toast message={toast.message} actionLabel={toast.actionLabel} onAction={toast.onAction} onDismiss={dismissToast} />
+      )}
     </div>
   );
 }
@@ -1,8 +1,172 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { meetingToJson } from './exporters';
+import { withSchedule } from './schedule';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+// The revision shown beside the undo buttons, which goes up with every save
+const shownRevision = () => Number(screen.getByText(/^Revision \d+$/).textContent.replace('Revision ', ''));
+
+// Renders the app and waits for it to save the meetings to storage
+const renderApp = async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Revision 1');
+};
+
+// Clicks a button and waits for the change to be saved
+const click = async (element) => {
+  const revision = shownRevision();
+  fireEvent.click(element);
+  await screen.findByText(`Revision ${revision + 1}`);
+};
+
+test('renders the agenda heading', async () => {
+  await renderApp();
+  const heading = screen.getByText(/council agenda table/i);
+  expect(heading).toBeInTheDocument();
+});
+
+test('migrates legacy table data into an untitled meeting', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+  ]));
+  await renderApp();
+  expect(screen.getByText('Roll call')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Untitled meeting')).toBeInTheDocument();
+});
+
+test('deleting a row shows a toast that can undo the delete', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+  ]));
+  await renderApp();
+  await click(screen.getByRole('button', { name: 'Delete' }));
+  expect(screen.queryByText('Roll call')).not.toBeInTheDocument();
+
+  await click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByText('Roll call')).toBeInTheDocument();
+});
+
+test('filters in the URL limit the rows shown', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+    { id: 2, time: '09:10', department: 'Public Works', issue: 'Paving', presenter: 'A. Jones' },
+  ]));
+  window.location.hash = '#/?department=Public+Works';
+  await renderApp();
+  expect(screen.getByText('Paving')).toBeInTheDocument();
+  expect(screen.queryByText('Roll call')).not.toBeInTheDocument();
+  expect(screen.getByText('Showing 1 of 2 items')).toBeInTheDocument();
+  window.location.hash = '';
+});
+
+test('rows added in another tab show up alongside this tab\'s changes', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+  ]));
+  await renderApp();
+  const saved = JSON.parse(localStorage.getItem('councilAgendaMeetings'));
+  const [meeting] = saved.meetings;
+  const added = { ...meeting.rows[0], id: 2, issue: 'Paving' };
+  localStorage.setItem('councilAgendaMeetings', JSON.stringify({
+    ...saved,
+    revision: saved.revision + 1,
+    meetings: [withSchedule({ ...meeting, rows: [...meeting.rows, added] })],
+  }));
+  await act(async () => {
+    window.dispatchEvent(new StorageEvent('storage', { key: 'councilAgendaMeetings' }));
+  });
+  expect(screen.getByText('Paving')).toBeInTheDocument();
+  expect(screen.getByText(`Revision ${saved.revision + 1}`)).toBeInTheDocument();
+});
+
+test('publishing freezes a version and later edits show as unpublished changes', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+  ]));
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  await renderApp();
+  await click(screen.getByRole('button', { name: 'Publish Version 1' }));
+  expect(screen.getByText('Version 1 is up to date.')).toBeInTheDocument();
+
+  await click(screen.getByRole('button', { name: 'Delete' }));
+  expect(screen.getByText(/Changed since version 1 was published/)).toBeInTheDocument();
+  expect(screen.getByText('Removed items (1)')).toBeInTheDocument();
+  window.confirm.mockRestore();
+});
+
+test('undoing an edit after a live advance keeps the live tracking', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+    { id: 2, time: '09:10', department: 'Public Works', issue: 'Paving', presenter: 'A. Jones' },
+    { id: 3, time: '09:20', department: 'Finance', issue: 'Budget', presenter: 'R. Diaz' },
+  ]));
+  await renderApp();
+  await click(screen.getByRole('button', { name: 'Start Meeting' }));
+  await click(screen.getAllByRole('button', { name: 'Delete' })[2]);
+  await click(screen.getByRole('button', { name: /^Next/ }));
+  await click(screen.getByTitle(/^Undo: Delete "Budget"/));
+
+  const [meeting] = JSON.parse(localStorage.getItem('councilAgendaMeetings')).meetings;
+  expect(meeting.rows.map(row => row.issue)).toEqual(['Roll call', 'Paving', 'Budget']);
+  expect(meeting.currentRowId).toBe(2);
+  expect(meeting.rows[0].actualEnd).toBeTruthy();
+  expect(meeting.rows[1].actualStart).toBeTruthy();
+  expect(screen.queryByText(/NaN/)).not.toBeInTheDocument();
+});
+
+test('restoring a backup over an existing meeting asks first and can be undone', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+  ]));
+  await renderApp();
+  const [meeting] = JSON.parse(localStorage.getItem('councilAgendaMeetings')).meetings;
+  const backup = { ...meeting, rows: [{ ...meeting.rows[0], issue: 'Attendance' }] };
+  const upload = (confirmed) => {
+    jest.spyOn(window, 'confirm').mockReturnValue(confirmed);
+    fireEvent.change(screen.getByLabelText('Import JSON backup'), {
+      target: { files: [new File([meetingToJson(backup)], 'backup.json', { type: 'application/json' })] },
+    });
+  };
+
+  upload(true);
+  await screen.findByText('Restored "Untitled meeting" from the file.');
+  expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('"Untitled meeting" is already in your meetings'));
+  expect(screen.getByText('Attendance')).toBeInTheDocument();
+  await click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByText('Roll call')).toBeInTheDocument();
+  window.confirm.mockRestore();
+
+  const revision = shownRevision();
+  upload(false);
+  await screen.findByText(`Revision ${revision + 1}`);
+  expect(screen.getByText('Successfully imported "Untitled meeting" with 1 rows.')).toBeInTheDocument();
+  const saved = JSON.parse(localStorage.getItem('councilAgendaMeetings'));
+  expect(saved.meetings).toHaveLength(2);
+  expect(saved.meetings[1].id).not.toBe(meeting.id);
+  window.confirm.mockRestore();
+});
+
+test('durations changed in another tab move the later times without saving again', async () => {
+  localStorage.setItem('dynamicTableData', JSON.stringify([
+    { id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+    { id: 2, time: '09:10', department: 'Public Works', issue: 'Paving', presenter: 'A. Jones' },
+  ]));
+  await renderApp();
+  const saved = JSON.parse(localStorage.getItem('councilAgendaMeetings'));
+  const [meeting] = saved.meetings;
+  const changed = withSchedule({ ...meeting, rows: [{ ...meeting.rows[0], duration: 25 }, meeting.rows[1]] });
+  const stored = { ...saved, revision: saved.revision + 1, meetings: [changed] };
+  localStorage.setItem('councilAgendaMeetings', JSON.stringify(stored));
+  await act(async () => {
+    window.dispatchEvent(new StorageEvent('storage', { key: 'councilAgendaMeetings' }));
+  });
+  expect(changed.rows[1].time).toBe('09:25');
+  expect(screen.getByText('9:25 AM')).toBeInTheDocument();
+  expect(screen.getByText(`Revision ${stored.revision}`)).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('councilAgendaMeetings'))).toEqual(stored);
 });
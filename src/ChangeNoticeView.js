@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import VersionDiff from './VersionDiff';
+import { loadPreferences } from './storage';
+import useStoredMeetings from './useStoredMeetings';
+import { hashParams } from './routes';
+import { displayTime, formatLongDate } from './time';
+import { findVersion, diffVersions, versionLabel, formatPublishedAt } from './versions';
+
+// Printable notice of the changes between two versions of the active meeting's agenda, posted with an
+// amended agenda. Opened in its own window at #/notice?from=1&to=2; `to` may be the unpublished draft.
+function ChangeNoticeView() {
+  // The meetings as saved by the editor window
+  const meetingsState = useStoredMeetings();
+
+  // State for the versions being compared, from the hash
+  const [params, setParams] = useState(hashParams);
+
+  // Effect to follow a new pair of versions when the editor reuses this window
+  useEffect(() => {
+    const handleHashChange = () => setParams(hashParams());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const { timeFormat, agenda: settings } = loadPreferences();
+  const meeting = meetingsState.meetings.find(m => m.id === meetingsState.activeMeetingId);
+  if (!meeting) return null;
+  const from = findVersion(meeting, params.get('from'));
+  const to = findVersion(meeting, params.get('to'));
+  if (!from || !to) {
+    return <p className="p-8 font-sans text-gray-700">These agenda versions no longer exist. Choose them again from the version history.</p>;
+  }
+
+  // Describes a version with its publication time, e.g. "Version 2, published Oct 19, 2026, 6:04 PM"
+  const describe = (version) => (version.publishedAt
+    ? `${versionLabel(version)}, published ${formatPublishedAt(version.publishedAt)}`
+    : versionLabel(version));
+
+  return (
+    <div className="max-w-3xl mx-auto p-8 print:p-0 font-serif text-gray-900">
+      <div className="flex justify-end mb-4 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-sans font-semibold py-2 px-4 rounded-lg shadow-md"
+        >
+          Print / Save as PDF
+        </button>
+      </div>
+
+      <header className="text-center border-b-2 border-gray-900 pb-4 mb-6">
+        {settings.jurisdiction && <p className="uppercase tracking-widest text-sm">{settings.jurisdiction}</p>}
+        <h1 className="text-3xl font-bold uppercase">{to.body}</h1>
+        <p className="text-xl font-semibold">Notice of Amended Agenda</p>
+        {to.title && to.title !== 'Untitled meeting' && <p className="text-lg">{to.title}</p>}
+        <p>{[formatLongDate(to.date), displayTime(to.startTime, timeFormat)].filter(Boolean).join(' · ')}</p>
+        {to.location && <p>{to.location}</p>}
+      </header>
+
+      <p className="mb-6">
+        The agenda for this meeting has been amended. This notice lists the changes from {describe(from)} to{' '}
+        {describe(to)}. Removed items are numbered as on the earlier agenda; all other item numbers refer to the
+        amended agenda.
+      </p>
+
+      <VersionDiff diff={diffVersions(from, to)} timeFormat={timeFormat} />
+
+      {settings.noticeText && (
+        <footer className="agenda-item border-t-2 border-gray-900 pt-4 mt-8 text-sm">
+          <p><span className="font-bold">Public Notice. </span>{settings.noticeText}</p>
+        </footer>
+      )}
+    </div>
+  );
+}
+
+export default ChangeNoticeView;
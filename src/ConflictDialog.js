@@ -0,0 +1,69 @@
+import React from 'react';
+import { changedKeys } from './sync';
+import { displayTime } from './time';
+
+// Labels for row properties that aren't configurable item fields
+const SCHEDULE_LABELS = { time: 'Time', duration: 'Minutes', pinned: 'Pinned', section: 'Section', motions: 'Motions' };
+
+// Formats a row property for the comparison table
+const formatValue = (key, value, timeFormat) => {
+  if (key === 'time') return displayTime(value, timeFormat);
+  if (key === 'pinned') return value ? 'Yes' : 'No';
+  if (key === 'motions') return `${(value || []).length} recorded`;
+  return value === undefined || value === '' ? '—' : String(value);
+};
+
+// Asks which version to keep when this tab and another tab changed the same agenda item.
+// `conflict` is { rowId, mine, theirs }; this tab's version is already in place until the user chooses.
+function ConflictDialog({ conflict, fields, timeFormat, remaining, onResolve }) {
+  const labels = fields.reduce((all, field) => ({ ...all, [field.key]: field.label }), SCHEDULE_LABELS);
+  const keys = changedKeys(conflict.mine, conflict.theirs).filter(key => labels[key]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4 print:hidden">
+      <div role="alertdialog" aria-labelledby="conflict-title" className="bg-white rounded-xl shadow-2xl max-w-2xl w-full p-6">
+        <h2 id="conflict-title" className="text-xl font-bold text-gray-800 mb-2">
+          “{conflict.mine.issue || conflict.theirs.issue}” was changed in another tab
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Both tabs edited this item at the same time. Choose which version to keep.
+          {remaining > 0 && ` ${remaining} more ${remaining === 1 ? 'conflict' : 'conflicts'} after this one.`}
+        </p>
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wider text-gray-500">
+              <th className="py-1 pr-2">Field</th>
+              <th className="py-1 pr-2">This tab</th>
+              <th className="py-1">Other tab</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {keys.map(key => (
+              <tr key={key} className="align-top">
+                <td className="py-2 pr-2 font-medium text-gray-700">{labels[key]}</td>
+                <td className="py-2 pr-2 text-gray-900">{formatValue(key, conflict.mine[key], timeFormat)}</td>
+                <td className="py-2 text-gray-900">{formatValue(key, conflict.theirs[key], timeFormat)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => onResolve('theirs')}
+            className="bg-white hover:bg-gray-100 text-gray-700 border border-gray-300 font-semibold py-2 px-4 rounded-lg"
+          >
+            Use Other Tab's Version
+          </button>
+          <button
+            onClick={() => onResolve('mine')}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md"
+          >
+            Keep This Tab's Version
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { createDepartment, createPresenter } from './directory';
+
+// Blank values for the add forms
+const EMPTY_DEPARTMENT = { name: '', abbreviation: '' };
+const EMPTY_PRESENTER = { name: '', title: '', department: '', email: '' };
+
+// Edits the shared directory of departments (name, abbreviation, color) and presenters
+// (name, title, department, email) used for autocomplete, import normalization and row colors
+function DirectoryEditor({ directory, onChange }) {
+  // State for the department and presenter being added
+  const [newDepartment, setNewDepartment] = useState(EMPTY_DEPARTMENT);
+  const [newPresenter, setNewPresenter] = useState(EMPTY_PRESENTER);
+
+  const { departments, presenters } = directory;
+
+  // Updates one field of a department or presenter
+  const updateEntry = (kind, id, name, value) => {
+    onChange({ ...directory, [kind]: directory[kind].map(entry => (entry.id === id ? { ...entry, [name]: value } : entry)) });
+  };
+
+  // Removes a department or presenter
+  const removeEntry = (kind, id) => {
+    onChange({ ...directory, [kind]: directory[kind].filter(entry => entry.id !== id) });
+  };
+
+  // Adds the new department to the end of the list
+  const addDepartment = (e) => {
+    e.preventDefault();
+    if (!newDepartment.name.trim()) return;
+    const department = createDepartment(newDepartment.name.trim(), newDepartment.abbreviation.trim(), departments);
+    onChange({ ...directory, departments: [...departments, department] });
+    setNewDepartment(EMPTY_DEPARTMENT);
+  };
+
+  // Adds the new presenter to the end of the list
+  const addPresenter = (e) => {
+    e.preventDefault();
+    if (!newPresenter.name.trim()) return;
+    const presenter = createPresenter(
+      newPresenter.name.trim(),
+      newPresenter.title.trim(),
+      newPresenter.department.trim(),
+      newPresenter.email.trim()
+    );
+    onChange({ ...directory, presenters: [...presenters, presenter] });
+    setNewPresenter(EMPTY_PRESENTER);
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+  const buttonClassName = "bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out";
+
+  return (
+    <details className="mb-8 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Directory ({departments.length} departments, {presenters.length} presenters)
+      </summary>
+
+      <h3 className="mt-4 mb-2 text-sm font-bold text-gray-600 uppercase tracking-wider">Departments</h3>
+      <ul className="space-y-2">
+        {departments.map(department => (
+          <li key={department.id} className="flex flex-wrap gap-2">
+            <input
+              type="color"
+              aria-label={`Color for ${department.name}`}
+              value={department.color}
+              onChange={(e) => updateEntry('departments', department.id, 'color', e.target.value)}
+              className="h-10 w-10 border border-gray-300 rounded-md"
+            />
+            <input
+              type="text"
+              aria-label="Department name"
+              value={department.name}
+              onChange={(e) => updateEntry('departments', department.id, 'name', e.target.value)}
+              className={`${inputClassName} flex-1`}
+            />
+            <input
+              type="text"
+              aria-label="Department abbreviation"
+              placeholder="Abbreviation"
+              value={department.abbreviation}
+              onChange={(e) => updateEntry('departments', department.id, 'abbreviation', e.target.value)}
+              className={`${inputClassName} w-28`}
+            />
+            <button onClick={() => removeEntry('departments', department.id)} className="text-red-600 hover:text-red-900 font-semibold px-2">
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={addDepartment} className="flex flex-wrap gap-2 mt-2">
+        <input
+          type="text"
+          placeholder="Department name"
+          value={newDepartment.name}
+          onChange={(e) => setNewDepartment(prev => ({ ...prev, name: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <input
+          type="text"
+          placeholder="Abbreviation (e.g. PW)"
+          value={newDepartment.abbreviation}
+          onChange={(e) => setNewDepartment(prev => ({ ...prev, abbreviation: e.target.value }))}
+          className={`${inputClassName} w-40`}
+        />
+        <button type="submit" className={buttonClassName}>Add Department</button>
+      </form>
+
+      <h3 className="mt-6 mb-2 text-sm font-bold text-gray-600 uppercase tracking-wider">Presenters</h3>
+      <ul className="space-y-2">
+        {presenters.map(presenter => (
+          <li key={presenter.id} className="flex flex-wrap gap-2">
+            {['name', 'title', 'department', 'email'].map(name => (
+              <input
+                key={name}
+                type={name === 'email' ? 'email' : 'text'}
+                aria-label={`Presenter ${name}`}
+                placeholder={name[0].toUpperCase() + name.slice(1)}
+                list={name === 'department' ? 'directory-departments' : undefined}
+                value={presenter[name]}
+                onChange={(e) => updateEntry('presenters', presenter.id, name, e.target.value)}
+                className={`${inputClassName} flex-1`}
+              />
+            ))}
+            <button onClick={() => removeEntry('presenters', presenter.id)} className="text-red-600 hover:text-red-900 font-semibold px-2">
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={addPresenter} className="flex flex-wrap gap-2 mt-2">
+        {['name', 'title', 'department', 'email'].map(name => (
+          <input
+            key={name}
+            type={name === 'email' ? 'email' : 'text'}
+            placeholder={`Presenter ${name}${name === 'name' ? '' : ' (optional)'}`}
+            list={name === 'department' ? 'directory-departments' : undefined}
+            value={newPresenter[name]}
+            onChange={(e) => setNewPresenter(prev => ({ ...prev, [name]: e.target.value }))}
+            className={`${inputClassName} flex-1`}
+          />
+        ))}
+        <button type="submit" className={buttonClassName}>Add Presenter</button>
+      </form>
+    </details>
+  );
+}
+
+export default DirectoryEditor;
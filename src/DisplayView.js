@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { loadPreferences } from './storage';
+import useStoredMeetings from './useStoredMeetings';
+import { computeSchedule } from './schedule';
+import { formatTime } from './time';
+import { currentIndex } from './live';
+import SpeakerTimer from './SpeakerTimer';
+
+// How many upcoming items are listed under the current one
+const UPCOMING_COUNT = 4;
+
+// Read-only, large-type agenda display for projecting in chambers.
+// Opened in its own window at #/display, it follows the clerk's window through the storage backend.
+function DisplayView() {
+  // The meetings as last saved by the clerk's window
+  const meetingsState = useStoredMeetings();
+
+  // State holding the current time for the clock
+  const [now, setNow] = useState(() => new Date());
+
+  // Effect to tick the clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const { timeFormat } = loadPreferences();
+  const meeting = meetingsState.meetings.find(m => m.id === meetingsState.activeMeetingId);
+  const rows = meeting ? meeting.rows : [];
+  const schedule = meeting ? computeSchedule(rows, meeting.startTime) : [];
+  const index = currentIndex(meeting);
+  const current = index === -1 ? null : rows[index];
+  // Before the meeting starts, list items from the top of the agenda
+  const upcomingStart = index === -1 ? 0 : index + 1;
+  const upcoming = rows.slice(upcomingStart, upcomingStart + UPCOMING_COUNT);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-8 sm:p-12 font-sans antialiased flex flex-col">
+      <header className="flex flex-wrap items-baseline justify-between gap-4 border-b border-gray-700 pb-6 mb-8">
+        <div>
+          <h1 className="text-4xl sm:text-5xl font-extrabold">{meeting ? meeting.body : 'Council Agenda'}</h1>
+          {meeting && (
+            <p className="text-2xl text-gray-400 mt-2">
+              {[meeting.title, meeting.date, meeting.location].filter(Boolean).join(' · ')}
+            </p>
+          )}
+        </div>
+        <p className="text-5xl font-bold tabular-nums">
+          {now.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: timeFormat === '12h' })}
+        </p>
+      </header>
+
+      <main className="flex-1">
+        {current ? (
+          <section aria-live="polite" className="mb-12">
+            <p className="text-2xl uppercase tracking-widest text-emerald-400 mb-4">
+              Now · Item {index + 1} · {formatTime(schedule[index].start, timeFormat)}
+            </p>
+            <h2 className="text-6xl sm:text-7xl font-extrabold leading-tight mb-6">{current.issue}</h2>
+            <p className="text-4xl text-gray-300">
+              {current.presenter}
+              <span className="text-gray-500"> · {current.department}</span>
+            </p>
+            <div className="mt-8">
+              <SpeakerTimer meeting={meeting} now={now} dark />
+            </div>
+          </section>
+        ) : (
+          <section className="mb-12">
+            <h2 className="text-5xl font-extrabold text-gray-300">
+              {meeting && meeting.liveEndedAt ? 'Meeting adjourned' : 'The meeting will begin shortly'}
+            </h2>
+          </section>
+        )}
+
+        {upcoming.length > 0 && (
+          <section>
+            <h3 className="text-2xl uppercase tracking-widest text-gray-500 mb-4">Up next</h3>
+            <ol className="space-y-4">
+              {upcoming.map((row, offset) => (
+                <li key={row.id} className="flex gap-6 text-3xl">
+                  <span className="w-40 shrink-0 tabular-nums text-gray-400">
+                    {formatTime(schedule[upcomingStart + offset].start, timeFormat)}
+                  </span>
+                  <span>
+                    {row.issue}
+                    <span className="block text-2xl text-gray-500">{row.presenter} · {row.department}</span>
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default DisplayView;
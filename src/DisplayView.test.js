@@ -0,0 +1,46 @@
+import { render, screen, act } from '@testing-library/react';
+import DisplayView from './DisplayView';
+import { STORAGE_KEY } from './storage';
+
+const saveState = (currentRowId) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    activeMeetingId: 'm1',
+    meetings: [{
+      id: 'm1',
+      title: 'Regular Session',
+      body: 'City Council',
+      startTime: '18:00',
+      currentRowId,
+      rows: [
+        { id: 'a', issue: 'Call to order', presenter: 'Mayor', department: 'Council', duration: 5 },
+        { id: 'b', issue: 'Budget hearing', presenter: 'R. Diaz', department: 'Finance', duration: 30 },
+      ],
+    }],
+  }));
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('follows the live item saved by another window', () => {
+  saveState('a');
+  render(<DisplayView />);
+  expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Call to order');
+
+  saveState('b');
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEY }));
+  });
+  expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Budget hearing');
+});
+
+test('shows the countdown for the public comment speaker', () => {
+  saveState('b');
+  const state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  state.meetings[0].rows[1].speakers = [{ id: 's1', name: 'Ana Ruiz', position: 'for', topic: 'Parking' }];
+  state.meetings[0].currentSpeaker = { rowId: 'b', speakerId: 's1', startedAt: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  render(<DisplayView />);
+  expect(screen.getByRole('timer', { name: 'Speaking time for Ana Ruiz' })).toHaveTextContent(/For · Parking\s*[23]:\d\d/);
+});
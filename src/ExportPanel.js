@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import {
+  exportMeetingToXlsx,
+  exportMeetingToCsv,
+  exportMeetingToJson,
+  parseMeetingJson,
+} from './exporters';
+import { exportMinutesToXlsx } from './minutes';
+import { openMinutesWindow, openAgendaWindow } from './routes';
+import { exportMeetingToIcs, exportPresenterToIcs } from './calendar';
+import { distinctValues } from './filters';
+
+// Buttons for exporting the active meeting, plus the JSON import that reverses the JSON export.
+function ExportPanel({ meeting, onImportMeeting, setMessage }) {
+  // State for the presenter whose calendar is exported
+  const [presenter, setPresenter] = useState('');
+
+  // Runs an export and reports failures instead of letting them escape to the console only
+  const runExport = async (exporter, label, rowCount = meeting.rows.length) => {
+    try {
+      await exporter(meeting);
+      setMessage(`Successfully exported ${rowCount} rows to ${label}.`);
+    } catch (error) {
+      console.error(`Error exporting to ${label}:`, error);
+      setMessage(`Error: Failed to export to ${label}: ${error.message}`);
+    }
+  };
+
+  // Reads a JSON export chosen by the user and hands the parsed meeting to the parent
+  const handleJsonUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      setMessage('No file selected.');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onImportMeeting(parseMeetingJson(e.target.result));
+      } catch (error) {
+        setMessage(`Error: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Allow the same file to be chosen again
+  };
+
+  const presenters = distinctValues(meeting.rows, 'presenter');
+  const selectedPresenter = presenters.includes(presenter) ? presenter : presenters[0] || '';
+  const presenterRowCount = meeting.rows.filter(row => String(row.presenter ?? '').trim() === selectedPresenter).length;
+
+  const buttonClassName = "bg-white hover:bg-purple-100 text-purple-700 border border-purple-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2";
+
+  return (
+    <div className="mb-8 p-6 bg-purple-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-bold text-purple-800 mb-4">Export &amp; Backup</h2>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button onClick={() => runExport(exportMeetingToXlsx, 'Excel')} className={buttonClassName}>
+          Export Excel (.xlsx)
+        </button>
+        <button onClick={() => runExport(exportMeetingToCsv, 'CSV')} className={buttonClassName}>
+          Export CSV
+        </button>
+        <button onClick={() => runExport(exportMeetingToJson, 'JSON')} className={buttonClassName}>
+          Export JSON (full backup)
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button onClick={() => runExport(m => exportMeetingToIcs(m), 'Calendar')} className={buttonClassName}>
+          Export Calendar (.ics)
+        </button>
+        <select
+          aria-label="Presenter"
+          value={selectedPresenter}
+          onChange={(e) => setPresenter(e.target.value)}
+          disabled={presenters.length === 0}
+          className="p-2 border border-purple-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          {presenters.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button
+          onClick={() => runExport(m => exportPresenterToIcs(m, selectedPresenter), `${selectedPresenter}'s calendar`, presenterRowCount)}
+          disabled={!selectedPresenter}
+          className={buttonClassName}
+        >
+          Presenter Calendar (.ics)
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button onClick={openAgendaWindow} className={buttonClassName}>
+          Official Agenda (print)
+        </button>
+        <button onClick={openMinutesWindow} className={buttonClassName}>
+          Draft Minutes (print)
+        </button>
+        <button onClick={() => runExport(exportMinutesToXlsx, 'Excel minutes')} className={buttonClassName}>
+          Export Minutes (.xlsx)
+        </button>
+      </div>
+      <label className="block text-sm font-medium text-gray-700">
+        Import JSON backup
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={handleJsonUpload}
+          className="block w-full text-sm text-gray-700 mt-2
+                     file:mr-4 file:py-2 file:px-4
+                     file:rounded-full file:border-0
+                     file:text-sm file:font-semibold
+                     file:bg-purple-50 file:text-purple-700
+                     hover:file:bg-purple-100"
+        />
+      </label>
+    </div>
+  );
+}
+
+export default ExportPanel;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Input for one configured item field, matching its type: a textarea for long text, a URL input for links.
+// `list` names a datalist of suggestions for text inputs.
+function FieldInput({ field, value, onChange, className, list }) {
+  if (field.type === 'textarea') {
+    return (
+      <textarea
+        name={field.key}
+        placeholder={field.label}
+        aria-label={field.label}
+        rows={2}
+        value={value ?? ''}
+        onChange={onChange}
+        className={className}
+      />
+    );
+  }
+
+  return (
+    <input
+      type={field.type === 'url' ? 'url' : 'text'}
+      name={field.key}
+      placeholder={field.label}
+      aria-label={field.label}
+      list={list}
+      value={value ?? ''}
+      onChange={onChange}
+      className={className}
+    />
+  );
+}
+
+export default FieldInput;
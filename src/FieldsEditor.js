@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { FIELD_TYPES, FIELD_CATALOG, LOCKED_FIELD_KEYS, createCustomField } from './fields';
+
+// Configures the item fields of a meeting: which columns its agenda items carry, their labels and order,
+// and which must be filled in. Removing a field hides it but leaves the values on the rows, so adding it
+// back restores them.
+function FieldsEditor({ fields, onChange }) {
+  // State for the label and type of the custom field being added
+  const [newField, setNewField] = useState({ label: '', type: 'text' });
+
+  // Updates one property of a field
+  const updateField = (key, name, value) => {
+    onChange(fields.map(field => (field.key === key ? { ...field, [name]: value } : field)));
+  };
+
+  // Moves a field one place up or down
+  const moveField = (index, offset) => {
+    const next = [...fields];
+    const [field] = next.splice(index, 1);
+    next.splice(index + offset, 0, field);
+    onChange(next);
+  };
+
+  // Adds a custom field to the end of the list
+  const addCustomField = (e) => {
+    e.preventDefault();
+    if (!newField.label.trim()) return;
+    onChange([...fields, createCustomField(newField.label.trim(), newField.type, fields)]);
+    setNewField({ label: '', type: 'text' });
+  };
+
+  const availableFields = FIELD_CATALOG.filter(field => !fields.some(f => f.key === field.key));
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <details className="mb-8 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Item fields ({fields.length})
+      </summary>
+      <ul className="mt-4 space-y-2">
+        {fields.map((field, index) => (
+          <li key={field.key} className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              aria-label={`Label for ${field.label}`}
+              value={field.label}
+              onChange={(e) => updateField(field.key, 'label', e.target.value)}
+              className={`${inputClassName} flex-1`}
+            />
+            <span className="text-xs text-gray-500 w-20">{FIELD_TYPES[field.type]}</span>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={field.required}
+                onChange={(e) => updateField(field.key, 'required', e.target.checked)}
+                className="mr-1"
+              />
+              Required
+            </label>
+            <button
+              onClick={() => moveField(index, -1)}
+              disabled={index === 0}
+              aria-label={`Move ${field.label} up`}
+              className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => moveField(index, 1)}
+              disabled={index === fields.length - 1}
+              aria-label={`Move ${field.label} down`}
+              className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => onChange(fields.filter(f => f.key !== field.key))}
+              disabled={LOCKED_FIELD_KEYS.includes(field.key)}
+              className="text-red-600 hover:text-red-900 font-semibold px-2 disabled:opacity-30"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      {availableFields.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-4">
+          {availableFields.map(field => (
+            <button
+              key={field.key}
+              onClick={() => onChange([...fields, field])}
+              className="px-3 py-1 border border-indigo-300 text-indigo-700 rounded-md hover:bg-indigo-50 text-sm"
+            >
+              + {field.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <form onSubmit={addCustomField} className="flex flex-wrap gap-2 mt-4">
+        <input
+          type="text"
+          placeholder="Custom field label"
+          value={newField.label}
+          onChange={(e) => setNewField(prev => ({ ...prev, label: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <select
+          aria-label="Custom field type"
+          value={newField.type}
+          onChange={(e) => setNewField(prev => ({ ...prev, type: e.target.value }))}
+          className={inputClassName}
+        >
+          {Object.entries(FIELD_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <button
+          type="submit"
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Add Field
+        </button>
+      </form>
+    </details>
+  );
+}
+
+export default FieldsEditor;
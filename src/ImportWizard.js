@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import {
+  IMPORT_MODES,
+  IMPORT_EXTENSIONS,
+  readWorkbook,
+  sheetToTable,
+  autoMapColumns,
+  applySavedMapping,
+  mappingToHeaderNames,
+  missingRequiredFields,
+  parseMappedRows,
+  importFields,
+} from './importer';
+import { loadImportMappings, saveImportMappings } from './storage';
+import { normalizeRow, normalizeImportedRows } from './directory';
+
+// Step-by-step spreadsheet import: choose a file, pick the sheet and map its columns,
+// then preview the parsed rows and choose how to combine them with the agenda.
+// The columns offered follow the item fields configured for the meeting. Department and presenter names are
+// normalized against the directory, and names it doesn't know are reported before importing.
+function ImportWizard({ fields, directory, onImport, setMessage }) {
+  // State for the current step: 'file', 'mapping' or 'preview'
+  const [step, setStep] = useState('file');
+
+  // State for the loaded workbook and the name of the file it came from
+  const [workbook, setWorkbook] = useState(null);
+  const [fileName, setFileName] = useState('');
+
+  // State for the selected sheet, its parsed contents, and the field-to-column mapping
+  const [sheetName, setSheetName] = useState('');
+  const [table, setTable] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+
+  // State for saved mapping templates and the name used when saving the current mapping
+  const [savedMappings, setSavedMappings] = useState(loadImportMappings);
+  const [templateName, setTemplateName] = useState('');
+
+  // State for the rows parsed for the preview, so the rows imported are the ones previewed
+  const [parsed, setParsed] = useState([]);
+
+  // State for how imported rows are combined with the agenda
+  const [mode, setMode] = useState('append');
+
+  // Loads a sheet of the workbook and guesses its column mapping
+  const selectSheet = (book, name) => {
+    const sheetTable = sheetToTable(book, name);
+    setSheetName(name);
+    setTable(sheetTable);
+    setMapping(autoMapColumns(sheetTable.headers, fields));
+  };
+
+  // Resets the wizard back to the file step
+  const reset = () => {
+    setStep('file');
+    setWorkbook(null);
+    setFileName('');
+    setSheetName('');
+    setTable({ headers: [], rows: [] });
+    setMapping({});
+    setTemplateName('');
+    setParsed([]);
+  };
+
+  // Handles the spreadsheet upload
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow the same file to be chosen again
+    if (!file) {
+      setMessage('No file selected.');
+      return;
+    }
+    // Check if the file type is a supported spreadsheet
+    if (!IMPORT_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+      setMessage(`Error: Please upload a valid spreadsheet (${IMPORT_EXTENSIONS.join(', ')}).`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const book = await readWorkbook(e.target.result);
+        if (book.sheetNames.length === 0) {
+          setMessage('Error: The uploaded file is empty or could not be parsed.');
+          return;
+        }
+        setWorkbook(book);
+        setFileName(file.name);
+        selectSheet(book, book.sheetNames[0]);
+        setStep('mapping');
+        setMessage('');
+      } catch (error) {
+        console.error("Error reading spreadsheet:", error);
+        setMessage(`Error: Failed to read spreadsheet: ${error.message}`);
+      }
+    };
+    reader.readAsArrayBuffer(file); // Read file as ArrayBuffer for XLSX
+  };
+
+  // Updates which column a field is read from
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => ({ ...prev, [key]: Number(value) }));
+  };
+
+  // Parses the rows with the current mapping and moves on to the preview
+  const showPreview = () => {
+    setParsed(parseMappedRows(table, mapping, fields).map(entry => ({ ...entry, row: normalizeRow(entry.row, directory) })));
+    setStep('preview');
+  };
+
+  // Saves the current mapping under the template name so it can be reused for the next file
+  const saveTemplate = () => {
+    const name = templateName.trim();
+    if (!name) return;
+    const next = { ...savedMappings, [name]: mappingToHeaderNames(table.headers, mapping) };
+    setSavedMappings(next);
+    saveImportMappings(next);
+    setMessage(`Successfully saved the column mapping "${name}".`);
+  };
+
+  // Applies a saved template to the current sheet
+  const applyTemplate = (name) => {
+    if (!savedMappings[name]) return;
+    setTemplateName(name);
+    setMapping(applySavedMapping(table.headers, savedMappings[name], fields));
+  };
+
+  // Deletes a saved template
+  const deleteTemplate = () => {
+    const { [templateName]: removed, ...rest } = savedMappings;
+    setSavedMappings(rest);
+    saveImportMappings(rest);
+    setTemplateName('');
+  };
+
+  const mappableFields = importFields(fields);
+  const missingFields = missingRequiredFields(mapping, fields);
+  const { rows: validRows, unknownDepartments, unknownPresenters } = normalizeImportedRows(
+    parsed.filter(entry => entry.errors.length === 0).map(entry => entry.row),
+    directory
+  );
+  const invalidCount = parsed.length - validRows.length;
+
+  // Hands the valid rows to the parent and starts over
+  const finishImport = () => {
+    onImport(validRows, mode, invalidCount);
+    reset();
+  };
+
+  const selectClassName = "p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-green-400";
+  const secondaryButtonClassName = "bg-white hover:bg-green-100 text-green-700 border border-green-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 disabled:opacity-50";
+  const primaryButtonClassName = "bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 disabled:opacity-50";
+
+  if (step === 'file') {
+    return (
+      <input
+        type="file"
+        accept={IMPORT_EXTENSIONS.join(', ')}
+        onChange={handleFileUpload}
+        className="block w-full text-sm text-gray-700
+                   file:mr-4 file:py-2 file:px-4
+                   file:rounded-full file:border-0
+                   file:text-sm file:font-semibold
+                   file:bg-green-50 file:text-green-700
+                   hover:file:bg-green-100 mb-4"
+      />
+    );
+  }
+
+  if (step === 'mapping') {
+    return (
+      <div className="mb-4">
+        <p className="text-sm text-gray-700 mb-4">
+          <span className="font-semibold">{fileName}</span> · Step 1 of 2: choose the sheet and match its columns to agenda fields.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Sheet
+            <select value={sheetName} onChange={(e) => selectSheet(workbook, e.target.value)} className={selectClassName}>
+              {workbook.sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Saved mapping
+            <select value={savedMappings[templateName] ? templateName : ''} onChange={(e) => applyTemplate(e.target.value)} className={selectClassName}>
+              <option value="">— None —</option>
+              {Object.keys(savedMappings).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          {mappableFields.map(field => (
+            <label key={field.key} className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              {field.label}{field.required && ' *'}
+              <select
+                value={mapping[field.key] ?? -1}
+                onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                className={selectClassName}
+              >
+                <option value={-1}>— Not in this file —</option>
+                {table.headers.map((header, index) => (
+                  <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <input
+            type="text"
+            placeholder="Mapping name (e.g. Public Works template)"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md flex-1 focus:outline-none focus:ring-1 focus:ring-green-400"
+          />
+          <button onClick={saveTemplate} disabled={!templateName.trim()} className={secondaryButtonClassName}>
+            Save Mapping
+          </button>
+          {savedMappings[templateName] && (
+            <button onClick={deleteTemplate} className={secondaryButtonClassName}>
+              Delete Mapping
+            </button>
+          )}
+        </div>
+
+        {missingFields.length > 0 && (
+          <p className="text-sm text-red-700 mb-4">Map a column for: {missingFields.join(', ')}.</p>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <button onClick={reset} className={secondaryButtonClassName}>Cancel</button>
+          <button onClick={showPreview} disabled={missingFields.length > 0} className={primaryButtonClassName}>
+            Preview Rows
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm text-gray-700 mb-4">
+        <span className="font-semibold">{fileName}</span> · Step 2 of 2: check the rows and choose how to import them.
+        {' '}{validRows.length} ready{invalidCount > 0 && `, ${invalidCount} with errors will be skipped`}.
+      </p>
+      {(unknownDepartments.length > 0 || unknownPresenters.length > 0) && (
+        <div className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+          <p className="font-semibold">Not in the directory — these will be imported as written:</p>
+          {unknownDepartments.length > 0 && <p>Departments: {unknownDepartments.join(', ')}</p>}
+          {unknownPresenters.length > 0 && <p>Presenters: {unknownPresenters.join(', ')}</p>}
+        </div>
+      )}
+      <div className="overflow-x-auto max-h-80 overflow-y-auto bg-white rounded-md shadow-sm mb-4">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+              {mappableFields.map(field => (
+                <th key={field.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {field.label}
+                </th>
+              ))}
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {parsed.map(({ row, errors, line }) => (
+              <tr key={line} className={errors.length > 0 ? 'bg-red-50' : ''}>
+                <td className="px-3 py-2 text-gray-500">{line}</td>
+                {mappableFields.map(field => (
+                  <td key={field.key} className="px-3 py-2 text-gray-900">{row[field.key] ?? ''}</td>
+                ))}
+                <td className="px-3 py-2 text-red-700">{errors.join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <fieldset className="mb-4">
+        <legend className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">Import mode</legend>
+        {Object.entries(IMPORT_MODES).map(([value, label]) => (
+          <label key={value} className="flex items-center text-sm text-gray-700 mb-1">
+            <input
+              type="radio"
+              name="import-mode"
+              value={value}
+              checked={mode === value}
+              onChange={(e) => setMode(e.target.value)}
+              className="mr-2"
+            />
+            {label}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => setStep('mapping')} className={secondaryButtonClassName}>Back</button>
+        <button onClick={reset} className={secondaryButtonClassName}>Cancel</button>
+        <button onClick={finishImport} disabled={validRows.length === 0} className={primaryButtonClassName}>
+          Import {validRows.length} Rows
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { formatTime } from './time';
+import { isLive, currentIndex, secondsSince, scheduleVariance, formatElapsed } from './live';
+import { openDisplayWindow } from './routes';
+import { isTypingTarget } from './keyboard';
+import SpeakerTimer from './SpeakerTimer';
+import { SPEAKER_POSITIONS, rowSpeakers, speakerLog, currentSpeaker } from './speakers';
+
+// Controls for running a meeting live: start/next/previous/end, the elapsed time of the current item
+// against its scheduled slot, and how far ahead or behind the meeting is.
+// When the current item has public comment speakers, their queue and speaking countdown are shown too.
+// Keyboard shortcuts: N or → for the next item, P or ← for the previous item.
+function LiveMeeting({ meeting, schedule, timeFormat, onStart, onNext, onPrevious, onEnd, onStartSpeaker, onFinishSpeaker, onCancelSpeaker }) {
+  // State holding the current time, refreshed every second while the meeting is live
+  const [now, setNow] = useState(() => new Date());
+
+  const live = isLive(meeting);
+  const index = currentIndex(meeting);
+
+  // Effect to tick the clock while live
+  useEffect(() => {
+    if (!live) return;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [live]);
+
+  // Effect to register the keyboard shortcuts while live
+  useEffect(() => {
+    if (!live) return;
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      if (e.key === 'n' || e.key === 'N' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        onNext();
+      } else if (e.key === 'p' || e.key === 'P' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        onPrevious();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [live, onNext, onPrevious]);
+
+  const buttonClassName = "bg-white hover:bg-emerald-100 text-emerald-700 border border-emerald-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 disabled:opacity-50";
+
+  if (!live) {
+    return (
+      <div className="mb-8 p-6 bg-emerald-50 rounded-lg shadow-inner flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-emerald-800">Live Meeting</h2>
+          {meeting.liveEndedAt && (
+            <p className="text-sm text-gray-600">
+              Last run ended at {new Date(meeting.liveEndedAt).toLocaleTimeString()}.
+            </p>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={openDisplayWindow} className={buttonClassName}>
+            Open Chamber Display
+          </button>
+          <button
+            onClick={onStart}
+            disabled={meeting.rows.length === 0}
+            className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            Start Meeting
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const row = meeting.rows[index];
+  const slot = schedule[index];
+  const elapsedSeconds = secondsSince(row.actualStart, now);
+  const slotSeconds = (slot.end - slot.start) * 60;
+  const isOver = elapsedSeconds > slotSeconds;
+  const variance = scheduleVariance(meeting, schedule, now);
+  const speaking = currentSpeaker(meeting);
+  const waiting = rowSpeakers(row).filter(speaker => !speaking || speaker.id !== speaking.speaker.id);
+  const spokenCount = speakerLog(row).length;
+
+  return (
+    <div className="mb-8 p-6 bg-emerald-50 rounded-lg shadow-inner" aria-live="polite">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-bold text-emerald-800">
+          Live Meeting <span className="text-base font-medium text-gray-600">item {index + 1} of {meeting.rows.length}</span>
+        </h2>
+        <span
+          className={`px-3 py-1 rounded-full text-sm font-semibold ${
+            variance > 0 ? 'bg-red-100 text-red-800' : variance < 0 ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          {variance > 0 ? `${variance} min behind` : variance < 0 ? `${-variance} min ahead` : 'On schedule'}
+        </span>
+      </div>
+
+      <p className="text-lg font-semibold text-gray-900">{row.issue}</p>
+      <p className="text-sm text-gray-600 mb-2">{row.presenter} · {row.department}</p>
+      <p className={`text-sm font-medium mb-4 ${isOver ? 'text-red-700' : 'text-gray-700'}`}>
+        Started {new Date(row.actualStart).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+        {' '}(scheduled {formatTime(slot.start, timeFormat)}) ·
+        {' '}{formatElapsed(elapsedSeconds)} of {formatElapsed(slotSeconds)}
+        {isOver && ` · Over by ${formatElapsed(elapsedSeconds - slotSeconds)}`}
+      </p>
+
+      {(speaking || waiting.length > 0 || spokenCount > 0) && (
+        <section className="mb-4 p-4 bg-white rounded-lg shadow-sm">
+          <h3 className="text-sm font-bold text-gray-600 uppercase tracking-wider mb-2">
+            Public comment · {spokenCount} spoke · {waiting.length} waiting
+          </h3>
+          {speaking && (
+            <div className="mb-2">
+              <SpeakerTimer meeting={meeting} now={now} />
+              <div className="flex gap-2 mt-2">
+                <button onClick={onFinishSpeaker} className={buttonClassName}>Done Speaking</button>
+                <button onClick={onCancelSpeaker} className={buttonClassName}>Cancel</button>
+              </div>
+            </div>
+          )}
+          <ol className="text-sm divide-y divide-gray-100">
+            {waiting.map((speaker, position) => (
+              <li key={speaker.id} className="flex flex-wrap items-center gap-2 py-1">
+                <span className="font-semibold text-gray-900">{speaker.name}</span>
+                <span className="text-gray-600 flex-1">
+                  {[SPEAKER_POSITIONS[speaker.position], speaker.topic].filter(Boolean).join(' · ')}
+                </span>
+                <button
+                  onClick={() => onStartSpeaker(speaker.id)}
+                  className={position === 0 ? 'text-emerald-700 hover:text-emerald-900 font-semibold' : 'text-gray-500 hover:text-gray-800'}
+                >
+                  {speaking ? 'Start next' : 'Start'}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button onClick={onPrevious} disabled={index === 0} className={buttonClassName} title="Previous item (P or ←)">
+          ← Previous
+        </button>
+        <button onClick={onNext} className={buttonClassName} title="Next item (N or →)">
+          {index === meeting.rows.length - 1 ? 'Finish' : 'Next →'}
+        </button>
+        <button onClick={onEnd} className={buttonClassName}>
+          End Meeting
+        </button>
+        <button onClick={openDisplayWindow} className={buttonClassName}>
+          Open Chamber Display
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LiveMeeting;
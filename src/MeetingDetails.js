@@ -0,0 +1,50 @@
+import React from 'react';
+import { MEETING_BODIES, MEETING_STATUSES } from './meetings';
+
+// Form for editing the metadata (title, date, start time, body, location, status) of the active meeting
+function MeetingDetails({ meeting, onChange }) {
+  // Passes a single changed field up to the parent
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ [name]: value });
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-8">
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider md:col-span-2">
+        Title
+        <input type="text" name="title" value={meeting.title} onChange={handleChange} className={inputClassName} />
+      </label>
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+        Date
+        <input type="date" name="date" value={meeting.date} onChange={handleChange} className={inputClassName} />
+      </label>
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+        Body
+        <select name="body" value={meeting.body} onChange={handleChange} className={inputClassName}>
+          {/* Keep a custom body from older data selectable even if it isn't in the preset list */}
+          {!MEETING_BODIES.includes(meeting.body) && <option value={meeting.body}>{meeting.body}</option>}
+          {MEETING_BODIES.map(body => <option key={body} value={body}>{body}</option>)}
+        </select>
+      </label>
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+        Status
+        <select name="status" value={meeting.status} onChange={handleChange} className={inputClassName}>
+          {MEETING_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+      </label>
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+        Start time
+        <input type="time" name="startTime" value={meeting.startTime} onChange={handleChange} className={inputClassName} />
+      </label>
+      <label className="text-xs font-medium text-gray-500 uppercase tracking-wider md:col-span-4">
+        Location
+        <input type="text" name="location" value={meeting.location} onChange={handleChange} className={inputClassName} />
+      </label>
+    </div>
+  );
+}
+
+export default MeetingDetails;
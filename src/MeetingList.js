@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { meetingLabel, sortMeetings } from './meetings';
+
+// Lists the saved meetings and lets the user create, duplicate, archive and switch between them
+function MeetingList({ meetings, activeMeetingId, onSelect, onCreate, onDuplicate, onToggleArchive }) {
+  // State to control whether archived meetings are shown in the list
+  const [showArchived, setShowArchived] = useState(false);
+
+  const visibleMeetings = sortMeetings(meetings).filter(
+    meeting => showArchived || meeting.status !== 'archived' || meeting.id === activeMeetingId
+  );
+  const activeMeeting = meetings.find(meeting => meeting.id === activeMeetingId);
+
+  return (
+    <div className="mb-8 p-6 bg-indigo-50 rounded-lg shadow-inner">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-bold text-indigo-800">Meetings</h2>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+            className="mr-2"
+          />
+          Show archived
+        </label>
+      </div>
+
+      <ul className="divide-y divide-indigo-100 bg-white rounded-md shadow-sm mb-4">
+        {visibleMeetings.map((meeting) => (
+          <li key={meeting.id}>
+            <button
+              onClick={() => onSelect(meeting.id)}
+              aria-current={meeting.id === activeMeetingId ? 'true' : undefined}
+              className={`w-full text-left px-4 py-2 text-sm transition duration-150 ease-in-out ${
+                meeting.id === activeMeetingId ? 'bg-indigo-100 font-semibold text-indigo-900' : 'hover:bg-gray-50 text-gray-800'
+              }`}
+            >
+              {meetingLabel(meeting)}
+              <span className="ml-2 text-xs uppercase tracking-wider text-gray-500">
+                {meeting.status} · {meeting.rows.length} items
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onCreate}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+        >
+          New Meeting
+        </button>
+        <button
+          onClick={() => onDuplicate(activeMeetingId)}
+          disabled={!activeMeeting}
+          className="bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+        >
+          Duplicate
+        </button>
+        <button
+          onClick={() => onToggleArchive(activeMeetingId)}
+          disabled={!activeMeeting}
+          className="bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+        >
+          {activeMeeting && activeMeeting.status === 'archived' ? 'Unarchive' : 'Archive'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MeetingList;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { loadPreferences } from './storage';
+import useStoredMeetings from './useStoredMeetings';
+import { VOTE_CHOICES, VOTE_LABELS, tallyVotes, motionOutcome, memberName } from './minutes';
+import { displayTime } from './time';
+import { itemNumbers } from './sections';
+import { SPEAKER_POSITIONS, speakerLog } from './speakers';
+
+// Formats an ISO timestamp as a time of day, e.g. "6:04 PM"
+const clockTime = (isoTime) => new Date(isoTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Describes how a motion was moved, seconded and voted on, as a sentence for the minutes
+const describeMotion = (motion, roster) => {
+  const tally = tallyVotes(motion, roster);
+  const mover = memberName(roster, motion.mover);
+  const seconder = memberName(roster, motion.seconder);
+  const parts = [];
+  if (mover) parts.push(`Moved by ${mover}${seconder ? `, seconded by ${seconder}` : ''}`);
+  if (motion.text) parts.push(motion.text);
+  const votes = VOTE_CHOICES
+    .filter(choice => tally[choice].length > 0)
+    .map(choice => `${VOTE_LABELS[choice]}: ${tally[choice].join(', ')}`);
+  if (votes.length > 0) parts.push(votes.join('; '));
+  return parts;
+};
+
+// Lists who spoke during public comment on an item, e.g. "Ana Ruiz (For, parking); Li Wei (Against)"
+const describeSpeakers = (row) => speakerLog(row)
+  .map(entry => `${entry.name} (${[SPEAKER_POSITIONS[entry.position], entry.topic].filter(Boolean).join(', ')})`)
+  .join('; ');
+
+// Printable draft minutes for the active meeting, opened in its own window at #/minutes.
+// It follows changes made in the editor window so the clerk can keep it open while recording votes.
+function MinutesView() {
+  // The meetings as saved by the editor window
+  const meetingsState = useStoredMeetings();
+
+  const { timeFormat } = loadPreferences();
+  const meeting = meetingsState.meetings.find(m => m.id === meetingsState.activeMeetingId);
+  if (!meeting) return null;
+  const roster = meeting.roster || [];
+  const numbers = itemNumbers(meeting.rows);
+
+  return (
+    <div className="max-w-3xl mx-auto p-8 font-serif text-gray-900">
+      <div className="flex justify-end mb-4 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-sans font-semibold py-2 px-4 rounded-lg shadow-md"
+        >
+          Print / Save as PDF
+        </button>
+      </div>
+
+      <header className="text-center mb-8">
+        <p className="uppercase tracking-widest text-sm text-gray-600">Draft Minutes</p>
+        <h1 className="text-3xl font-bold">{meeting.body}</h1>
+        <p className="text-lg">{[meeting.title, meeting.date].filter(Boolean).join(' · ')}</p>
+        {meeting.location && <p className="text-gray-700">{meeting.location}</p>}
+      </header>
+
+      <section className="mb-6">
+        <h2 className="text-xl font-bold border-b border-gray-300 mb-2">Call to Order</h2>
+        <p>
+          {meeting.liveStartedAt
+            ? `The meeting was called to order at ${clockTime(meeting.liveStartedAt)}.`
+            : 'The meeting was called to order at ____.'}
+        </p>
+      </section>
+
+      {roster.length > 0 && (
+        <section className="mb-6">
+          <h2 className="text-xl font-bold border-b border-gray-300 mb-2">Members</h2>
+          <p>{roster.map(member => [member.title, member.name].filter(Boolean).join(' ')).join(', ')}</p>
+        </section>
+      )}
+
+      <section className="mb-6">
+        <h2 className="text-xl font-bold border-b border-gray-300 mb-2">Proceedings</h2>
+        <ol className="space-y-4">
+          {meeting.rows.map(row => (
+            <li key={row.id} className="break-inside-avoid">
+              <p className="font-bold">
+                {numbers[row.id]}. {row.issue}
+              </p>
+              <p className="text-sm text-gray-700">
+                {[row.department, row.presenter].filter(Boolean).join(' · ')}
+                {' · '}
+                {row.actualStart
+                  ? `Taken up at ${clockTime(row.actualStart)}`
+                  : `Scheduled for ${displayTime(row.time, timeFormat)}`}
+              </p>
+              {speakerLog(row).length > 0 && (
+                <p className="mt-2">
+                  <span className="font-semibold">Public comment: </span>{describeSpeakers(row)}.
+                </p>
+              )}
+              {(row.motions || []).map(motion => (
+                <div key={motion.id} className="mt-2 pl-4 border-l-2 border-gray-300">
+                  {describeMotion(motion, roster).map((part, partIndex) => <p key={partIndex}>{part}</p>)}
+                  <p className="font-semibold uppercase text-sm">Motion {motionOutcome(motion, roster)}</p>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      <section>
+        <h2 className="text-xl font-bold border-b border-gray-300 mb-2">Adjournment</h2>
+        <p>
+          {meeting.liveEndedAt
+            ? `The meeting was adjourned at ${clockTime(meeting.liveEndedAt)}.`
+            : 'The meeting was adjourned at ____.'}
+        </p>
+      </section>
+    </div>
+  );
+}
+
+export default MinutesView;
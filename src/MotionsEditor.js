@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { VOTE_CHOICES, MOTION_OUTCOMES, createMotion, tallyVotes, motionOutcome } from './minutes';
+
+// Records the motions made on an agenda item, with mover, seconder, a roll-call vote per member and the outcome.
+// Changes are kept as a draft until saved, so they go into the undo history as a single step.
+function MotionsEditor({ row, roster, onSave, onClose }) {
+  // State for the motions being edited
+  const [motions, setMotions] = useState(() => row.motions || []);
+
+  // Updates one field of a motion
+  const updateMotion = (id, changes) => {
+    setMotions(prev => prev.map(motion => (motion.id === id ? { ...motion, ...changes } : motion)));
+  };
+
+  // Records one member's vote on a motion
+  const setVote = (motion, memberId, choice) => {
+    updateMotion(motion.id, { votes: { ...motion.votes, [memberId]: choice } });
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md w-full focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <div className="p-4 bg-indigo-50 rounded-md" onClick={(e) => e.stopPropagation()}>
+      <h3 className="text-lg font-bold text-indigo-800 mb-2">Motions on “{row.issue}”</h3>
+      {roster.length === 0 && (
+        <p className="text-sm text-yellow-800 mb-2">Add members to the meeting roster to record movers and votes.</p>
+      )}
+
+      {motions.map((motion, index) => {
+        const tally = tallyVotes(motion, roster);
+        return (
+          <fieldset key={motion.id} className="mb-4 p-4 bg-white rounded-md shadow-sm">
+            <legend className="text-sm font-semibold text-gray-700">Motion {index + 1}</legend>
+            <textarea
+              aria-label="Motion text"
+              placeholder="Motion to approve..."
+              value={motion.text}
+              onChange={(e) => updateMotion(motion.id, { text: e.target.value })}
+              className={`${inputClassName} mb-2`}
+              rows={2}
+            />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-2">
+              <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Moved by
+                <select value={motion.mover} onChange={(e) => updateMotion(motion.id, { mover: e.target.value })} className={inputClassName}>
+                  <option value="">—</option>
+                  {roster.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Seconded by
+                <select value={motion.seconder} onChange={(e) => updateMotion(motion.id, { seconder: e.target.value })} className={inputClassName}>
+                  <option value="">—</option>
+                  {roster.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Outcome
+                <select value={motion.outcome} onChange={(e) => updateMotion(motion.id, { outcome: e.target.value })} className={inputClassName}>
+                  {MOTION_OUTCOMES.map(outcome => (
+                    <option key={outcome} value={outcome}>
+                      {outcome || `By vote (${motionOutcome({ ...motion, outcome: '' }, roster)} ${tally.aye.length}–${tally.nay.length})`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {roster.length > 0 && (
+              <table className="min-w-full text-sm mb-2">
+                <thead>
+                  <tr>
+                    <th className="text-left font-medium text-gray-500">Member</th>
+                    {VOTE_CHOICES.map(choice => (
+                      <th key={choice} className="font-medium text-gray-500 capitalize">{choice}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {roster.map(member => (
+                    <tr key={member.id}>
+                      <td className="text-gray-900">{member.name}</td>
+                      {VOTE_CHOICES.map(choice => (
+                        <td key={choice} className="text-center">
+                          <input
+                            type="radio"
+                            name={`vote-${motion.id}-${member.id}`}
+                            aria-label={`${member.name} ${choice}`}
+                            checked={motion.votes[member.id] === choice}
+                            onChange={() => setVote(motion, member.id, choice)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <button
+              onClick={() => setMotions(prev => prev.filter(m => m.id !== motion.id))}
+              className="text-red-600 hover:text-red-900 text-sm font-semibold"
+            >
+              Remove Motion
+            </button>
+          </fieldset>
+        );
+      })}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setMotions(prev => [...prev, createMotion(roster)])}
+          className="bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+        >
+          Add Motion
+        </button>
+        <button
+          onClick={() => onSave(motions)}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Save Motions
+        </button>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 font-semibold py-2 px-4">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MotionsEditor;
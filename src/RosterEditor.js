@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { createMember } from './minutes';
+
+// Edits the roster of members for a meeting, used for motions and roll-call votes
+function RosterEditor({ roster, onChange }) {
+  // State for the name and title of the member being added
+  const [newMember, setNewMember] = useState({ name: '', title: '' });
+
+  // Adds the new member to the end of the roster
+  const addMember = (e) => {
+    e.preventDefault();
+    if (!newMember.name.trim()) return;
+    onChange([...roster, createMember(newMember.name.trim(), newMember.title.trim())]);
+    setNewMember({ name: '', title: '' });
+  };
+
+  // Updates one field of a member
+  const updateMember = (id, name, value) => {
+    onChange(roster.map(member => (member.id === id ? { ...member, [name]: value } : member)));
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <details className="mb-8 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Roster ({roster.length} members)
+      </summary>
+      <ul className="mt-4 space-y-2">
+        {roster.map(member => (
+          <li key={member.id} className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              aria-label="Member name"
+              value={member.name}
+              onChange={(e) => updateMember(member.id, 'name', e.target.value)}
+              className={`${inputClassName} flex-1`}
+            />
+            <input
+              type="text"
+              aria-label="Member title"
+              placeholder="Title (e.g. Mayor)"
+              value={member.title}
+              onChange={(e) => updateMember(member.id, 'title', e.target.value)}
+              className={`${inputClassName} flex-1`}
+            />
+            <button
+              onClick={() => onChange(roster.filter(m => m.id !== member.id))}
+              className="text-red-600 hover:text-red-900 font-semibold px-2"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={addMember} className="flex flex-wrap gap-2 mt-4">
+        <input
+          type="text"
+          placeholder="Member name"
+          value={newMember.name}
+          onChange={(e) => setNewMember(prev => ({ ...prev, name: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <input
+          type="text"
+          placeholder="Title (optional)"
+          value={newMember.title}
+          onChange={(e) => setNewMember(prev => ({ ...prev, title: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <button
+          type="submit"
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Add Member
+        </button>
+      </form>
+    </details>
+  );
+}
+
+export default RosterEditor;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import {
+  SPEAKER_POSITIONS,
+  createSpeaker,
+  rowSpeakers,
+  speakerLog,
+  speakerMinutes,
+  moveSpeaker,
+  readSpeakerSheet,
+} from './speakers';
+import { IMPORT_EXTENSIONS } from './importer';
+import { formatElapsed, secondsSince } from './live';
+
+// Blank values for the sign-up form
+const EMPTY_SPEAKER = { name: '', position: 'neutral', topic: '' };
+
+// Formats an ISO timestamp as a time of day, e.g. "6:04 PM"
+const clockTime = (isoTime) => new Date(isoTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Public comment sign-up list for one agenda item: add, reorder and remove speakers, import them from a sign-up
+// spreadsheet, set the speaking time, and see the log of who has spoken. The countdown runs from the live meeting panel.
+function SpeakerQueue({ row, meeting, onChangeSpeakers, onChangeMinutes, onClose, setMessage }) {
+  // State for the speaker being signed up
+  const [newSpeaker, setNewSpeaker] = useState(EMPTY_SPEAKER);
+
+  const speakers = rowSpeakers(row);
+  const log = speakerLog(row);
+  const speakingId = meeting.currentSpeaker && meeting.currentSpeaker.rowId === row.id ? meeting.currentSpeaker.speakerId : null;
+
+  // Adds the new speaker to the end of the list
+  const addSpeaker = (e) => {
+    e.preventDefault();
+    if (!newSpeaker.name.trim()) return;
+    onChangeSpeakers([...speakers, createSpeaker({ ...newSpeaker, name: newSpeaker.name.trim(), topic: newSpeaker.topic.trim() })]);
+    setNewSpeaker(EMPTY_SPEAKER);
+  };
+
+  // Reads a sign-up spreadsheet and adds its speakers after the ones already signed up
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      setMessage('No file selected.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const imported = await readSpeakerSheet(e.target.result);
+        if (imported.length === 0) {
+          setMessage('Error: The sign-up sheet has no speakers in it.');
+          return;
+        }
+        onChangeSpeakers([...speakers, ...imported]);
+        setMessage(`Successfully imported ${imported.length} speakers for "${row.issue}".`);
+      } catch (error) {
+        console.error("Error importing the sign-up sheet:", error);
+        setMessage(`Error: Failed to import the sign-up sheet: ${error.message}`);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    event.target.value = ''; // Allow the same file to be chosen again
+  };
+
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+
+  return (
+    <div className="p-4 bg-sky-50 rounded-md" onClick={(e) => e.stopPropagation()}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-lg font-bold text-sky-800">Public comment on “{row.issue}”</h3>
+        <label className="text-sm text-gray-700">
+          Minutes per speaker
+          <input
+            type="number"
+            min="1"
+            value={speakerMinutes(meeting)}
+            onChange={(e) => onChangeMinutes(Math.max(1, Number(e.target.value) || 1))}
+            className={`${inputClassName} w-20 ml-2`}
+          />
+        </label>
+      </div>
+
+      {speakers.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-2">Nobody has signed up to speak yet.</p>
+      ) : (
+        <ol className="mb-2 divide-y divide-sky-100 bg-white rounded-md shadow-sm">
+          {speakers.map((speaker, index) => (
+            <li key={speaker.id} className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm">
+              <span className="w-6 text-gray-500">{index + 1}.</span>
+              <span className="font-semibold text-gray-900">{speaker.name}</span>
+              <span className="px-2 rounded-full bg-sky-100 text-sky-800 text-xs">{SPEAKER_POSITIONS[speaker.position]}</span>
+              <span className="flex-1 text-gray-600">{speaker.topic}</span>
+              {speaker.id === speakingId && <span className="text-emerald-700 font-semibold">Speaking</span>}
+              <button
+                onClick={() => onChangeSpeakers(moveSpeaker(speakers, index, index - 1))}
+                disabled={index === 0}
+                aria-label={`Move ${speaker.name} up`}
+                className="px-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => onChangeSpeakers(moveSpeaker(speakers, index, index + 1))}
+                disabled={index === speakers.length - 1}
+                aria-label={`Move ${speaker.name} down`}
+                className="px-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => onChangeSpeakers(speakers.filter(s => s.id !== speaker.id))}
+                disabled={speaker.id === speakingId}
+                className="text-red-600 hover:text-red-900 font-semibold px-1 disabled:opacity-30"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={addSpeaker} className="flex flex-wrap gap-2 mb-2">
+        <input
+          type="text"
+          placeholder="Speaker name"
+          value={newSpeaker.name}
+          onChange={(e) => setNewSpeaker(prev => ({ ...prev, name: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <select
+          aria-label="Position"
+          value={newSpeaker.position}
+          onChange={(e) => setNewSpeaker(prev => ({ ...prev, position: e.target.value }))}
+          className={inputClassName}
+        >
+          {Object.entries(SPEAKER_POSITIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Topic (optional)"
+          value={newSpeaker.topic}
+          onChange={(e) => setNewSpeaker(prev => ({ ...prev, topic: e.target.value }))}
+          className={`${inputClassName} flex-1`}
+        />
+        <button type="submit" className="bg-sky-600 hover:bg-sky-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md">
+          Add Speaker
+        </button>
+      </form>
+
+      <label className="block text-sm font-medium text-gray-700 mb-4">
+        Import sign-up sheet (columns: Name, Position, Topic)
+        <input
+          type="file"
+          accept={IMPORT_EXTENSIONS.join(',')}
+          onChange={handleFileUpload}
+          className="block w-full text-sm text-gray-700 mt-1
+                     file:mr-4 file:py-2 file:px-4
+                     file:rounded-full file:border-0
+                     file:text-sm file:font-semibold
+                     file:bg-sky-100 file:text-sky-700
+                     hover:file:bg-sky-200"
+        />
+      </label>
+
+      {log.length > 0 && (
+        <>
+          <h4 className="text-sm font-bold text-gray-600 uppercase tracking-wider mb-1">Spoke</h4>
+          <ol className="mb-2 text-sm text-gray-700 list-decimal list-inside">
+            {log.map(entry => (
+              <li key={entry.id}>
+                {entry.name} ({SPEAKER_POSITIONS[entry.position]}{entry.topic ? `, ${entry.topic}` : ''}) ·
+                {' '}{clockTime(entry.startedAt)} for {formatElapsed(secondsSince(entry.startedAt, new Date(entry.endedAt)))}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      <div className="flex justify-end">
+        <button onClick={onClose} className="text-gray-600 hover:text-gray-900 font-semibold px-2">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SpeakerQueue;
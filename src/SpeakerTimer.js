@@ -0,0 +1,35 @@
+import React from 'react';
+import { SPEAKER_POSITIONS, currentSpeaker, remainingSeconds, timerState, formatCountdown } from './speakers';
+
+// Colors for each countdown state, on the light editor and on the dark chamber display
+const STATE_CLASSES = {
+  running: { light: 'bg-gray-100 text-gray-900', dark: 'bg-gray-800 text-white' },
+  warning: { light: 'bg-yellow-100 text-yellow-900', dark: 'bg-yellow-500 text-gray-900' },
+  expired: { light: 'bg-red-100 text-red-800', dark: 'bg-red-700 text-white' },
+};
+
+// Countdown for the current public comment speaker, which turns yellow near the end and red once time is up.
+// Renders nothing when nobody is speaking. `now` comes from the parent's clock so it ticks with it.
+function SpeakerTimer({ meeting, now, dark = false }) {
+  const current = currentSpeaker(meeting);
+  if (!current) return null;
+  const seconds = remainingSeconds(meeting, now);
+  const state = timerState(seconds);
+
+  return (
+    <div role="timer" aria-label={`Speaking time for ${current.speaker.name}`} className={`flex flex-wrap items-center justify-between gap-4 rounded-lg px-4 py-3 ${STATE_CLASSES[state][dark ? 'dark' : 'light']}`}>
+      <div>
+        <p className={dark ? 'text-3xl font-bold' : 'text-lg font-semibold'}>{current.speaker.name}</p>
+        <p className={dark ? 'text-xl' : 'text-sm'}>
+          {[SPEAKER_POSITIONS[current.speaker.position], current.speaker.topic].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+      <p className={`font-mono font-bold tabular-nums ${dark ? 'text-7xl' : 'text-4xl'}`}>
+        {formatCountdown(seconds)}
+      </p>
+      {state === 'expired' && <p className={`w-full font-semibold ${dark ? 'text-2xl' : 'text-sm'}`}>Time is up</p>}
+    </div>
+  );
+}
+
+export default SpeakerTimer;
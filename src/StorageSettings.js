@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { STORAGE_BACKENDS } from './backends';
+
+// Chooses where meetings are kept: this browser's localStorage, IndexedDB for large agendas, or a shared
+// REST server so several desks can work on the same agenda. Shows whether the chosen backend has loaded.
+function StorageSettings({ settings, isLoaded, loadError, onChange, onRetry, open }) {
+  // State for the settings being edited, applied together so typing a URL doesn't connect on every keystroke
+  const [draft, setDraft] = useState(settings);
+
+  // Applies the edited settings
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onChange({ backend: draft.backend, url: draft.url.trim() });
+  };
+
+  const isChanged = draft.backend !== settings.backend || draft.url.trim() !== settings.url;
+  const needsUrl = draft.backend === 'rest' && !draft.url.trim();
+
+  let status = `Saving to: ${STORAGE_BACKENDS[settings.backend]}${settings.backend === 'rest' ? ` at ${settings.url}` : ''}`;
+  if (loadError) status = `Couldn't load the meetings: ${loadError}`;
+  else if (!isLoaded) status = 'Loading meetings…';
+
+  return (
+    <details open={open} className="mb-8 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <summary className="cursor-pointer font-semibold text-gray-700">Storage</summary>
+
+      <p role="status" className={`mt-4 text-sm ${loadError ? 'text-red-600' : 'text-gray-600'}`}>
+        {status}
+        {loadError && (
+          <button onClick={onRetry} className="ml-2 text-indigo-600 hover:text-indigo-900 font-semibold">
+            Retry
+          </button>
+        )}
+      </p>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2 mt-4">
+        <label className="flex flex-col text-sm text-gray-700">
+          Keep meetings in
+          <select
+            value={draft.backend}
+            onChange={(e) => setDraft(prev => ({ ...prev, backend: e.target.value }))}
+            className="mt-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400"
+          >
+            {Object.entries(STORAGE_BACKENDS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {draft.backend === 'rest' && (
+          <label className="flex flex-col flex-1 text-sm text-gray-700">
+            Server address
+            <input
+              type="url"
+              placeholder="e.g. http://agenda.intranet:4000/api"
+              value={draft.url}
+              onChange={(e) => setDraft(prev => ({ ...prev, url: e.target.value }))}
+              className="mt-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400"
+            />
+          </label>
+        )}
+        <button
+          type="submit"
+          disabled={!isChanged || needsUrl}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50"
+        >
+          Switch Storage
+        </button>
+      </form>
+      <p className="mt-2 text-xs text-gray-500">
+        If the new location is empty, the meetings open here are copied to it. Otherwise its meetings replace
+        the ones shown here; nothing is deleted from the old location.
+      </p>
+    </details>
+  );
+}
+
+export default StorageSettings;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { RECURRENCE_WEEKS, WEEKDAYS, recurringDates, describeRecurrence, MAX_RECURRING_MEETINGS } from './templates';
+
+// Today's date as a meeting date, e.g. "2026-01-06"
+const today = () => {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+};
+
+// Saves the active agenda as a named template and creates meetings from templates, either one at a time
+// or as a run of recurring meeting shells such as "every 1st and 3rd Tuesday"
+function TemplatePanel({ templates, activeMeeting, onSaveTemplate, onDeleteTemplate, onCreateMeetings }) {
+  // State for the name used when saving the active agenda as a template
+  const [templateName, setTemplateName] = useState('');
+
+  // State for the template meetings are created from
+  const [templateId, setTemplateId] = useState('');
+
+  // State for the recurrence: which weeks of the month, which weekday, from when and how many meetings
+  const [recurrence, setRecurrence] = useState({ weeks: [1, 3], weekday: 2 });
+  const [fromDate, setFromDate] = useState(today);
+  const [count, setCount] = useState(6);
+
+  // Saves the active meeting's agenda under the entered name
+  const saveTemplate = (e) => {
+    e.preventDefault();
+    if (!templateName.trim()) return;
+    onSaveTemplate(templateName.trim());
+    setTemplateName('');
+  };
+
+  // Turns a week of the month on or off in the recurrence
+  const toggleWeek = (week) => {
+    setRecurrence(prev => ({
+      ...prev,
+      weeks: prev.weeks.includes(week) ? prev.weeks.filter(w => w !== week) : [...prev.weeks, week],
+    }));
+  };
+
+  const template = templates.find(t => t.id === templateId) || templates[0];
+  const dates = fromDate ? recurringDates(recurrence, fromDate, Number(count) || 0) : [];
+  const inputClassName = "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400";
+  const buttonClassName = "bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50";
+
+  return (
+    <details className="mb-8 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Templates ({templates.length})
+      </summary>
+
+      <form onSubmit={saveTemplate} className="flex flex-wrap gap-2 mt-4">
+        <input
+          type="text"
+          placeholder="Template name (e.g. Regular Council Meeting)"
+          value={templateName}
+          onChange={(e) => setTemplateName(e.target.value)}
+          className={`${inputClassName} flex-1`}
+        />
+        <button type="submit" disabled={!activeMeeting || !templateName.trim()} className={buttonClassName}>
+          Save Current Agenda as Template
+        </button>
+      </form>
+
+      {templates.length > 0 && (
+        <div className="mt-6 space-y-4">
+          <div className="flex flex-wrap items-end gap-2">
+            <label className="text-xs font-medium text-gray-500 uppercase tracking-wider flex-1">
+              Template
+              <select value={template.id} onChange={(e) => setTemplateId(e.target.value)} className={`${inputClassName} w-full`}>
+                {templates.map(t => (
+                  <option key={t.id} value={t.id}>{t.name} ({t.rows.length} standing items)</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => onDeleteTemplate(template.id)}
+              className="text-red-600 hover:text-red-900 font-semibold px-2 py-2"
+            >
+              Delete Template
+            </button>
+          </div>
+
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">Recurrence</legend>
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+              Every
+              {RECURRENCE_WEEKS.map(week => (
+                <label key={week.value} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={recurrence.weeks.includes(week.value)}
+                    onChange={() => toggleWeek(week.value)}
+                    className="mr-1"
+                  />
+                  {week.label}
+                </label>
+              ))}
+              <select
+                aria-label="Weekday"
+                value={recurrence.weekday}
+                onChange={(e) => setRecurrence(prev => ({ ...prev, weekday: Number(e.target.value) }))}
+                className={inputClassName}
+              >
+                {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+              </select>
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2">
+              <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Starting
+                <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={`${inputClassName} block`} />
+              </label>
+              <label className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Meetings
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_RECURRING_MEETINGS}
+                  value={count}
+                  onChange={(e) => setCount(e.target.value)}
+                  className={`${inputClassName} block w-24`}
+                />
+              </label>
+            </div>
+          </fieldset>
+
+          {dates.length > 0 && (
+            <p className="text-sm text-gray-700">
+              {template.name}, {describeRecurrence(recurrence)}: {dates.join(', ')}
+            </p>
+          )}
+          <button onClick={() => onCreateMeetings(template, dates)} disabled={dates.length === 0} className={buttonClassName}>
+            Create {dates.length} {dates.length === 1 ? 'Meeting' : 'Meetings'}
+          </button>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default TemplatePanel;
@@ -0,0 +1,36 @@
+import React, { useEffect } from 'react';
+
+// How long a toast stays on screen, in milliseconds
+const TOAST_DURATION = 8000;
+
+// Non-blocking notification in the corner of the screen with an optional action, e.g. "Undo".
+// It dismisses itself after a few seconds.
+function Toast({ message, actionLabel, onAction, onDismiss }) {
+  // Effect to dismiss the toast automatically; restarts whenever a new message is shown
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 right-4 z-50 flex items-center gap-4 bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-lg"
+    >
+      <span>{message}</span>
+      {actionLabel && (
+        <button
+          onClick={() => { onAction(); onDismiss(); }}
+          className="font-semibold text-yellow-300 hover:text-yellow-100 focus:outline-none focus:ring-2 focus:ring-yellow-300 rounded"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button onClick={onDismiss} aria-label="Dismiss" className="text-gray-400 hover:text-white">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
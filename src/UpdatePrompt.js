@@ -0,0 +1,28 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToUpdates, applyUpdate } from './serviceWorkerRegistration';
+
+// Banner offering to reload when a new version of the app has been deployed
+function UpdatePrompt() {
+  // State for whether a new version is waiting, and whether the user has put it off for now
+  const [isUpdateReady, setIsUpdateReady] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(false);
+
+  // Effect to hear about new versions from the service worker
+  useEffect(() => subscribeToUpdates(() => setIsUpdateReady(true)), []);
+
+  if (!isUpdateReady || isDismissed) return null;
+
+  return (
+    <div role="status" className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-indigo-900 text-white px-4 py-3 rounded-lg shadow-lg print:hidden">
+      <span>A new version of the app is available.</span>
+      <button onClick={applyUpdate} className="font-semibold text-yellow-300 hover:text-yellow-100">
+        Reload
+      </button>
+      <button onClick={() => setIsDismissed(true)} aria-label="Dismiss" className="text-gray-300 hover:text-white">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
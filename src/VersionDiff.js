@@ -0,0 +1,88 @@
+import React from 'react';
+import { displayTime, formatLongDate } from './time';
+import { isEmptyDiff } from './versions';
+
+// Formats a compared value the way it reads on the agenda
+const formatValue = (key, value, timeFormat) => {
+  if (value === '' || value === null || value === undefined) return '(none)';
+  if (key === 'time' || key === 'startTime') return displayTime(value, timeFormat);
+  if (key === 'date') return formatLongDate(value);
+  if (key === 'duration') return `${value} min`;
+  return String(value);
+};
+
+// Lists field changes as "Label: old → new", with the old value struck through
+function ChangeList({ changes, timeFormat }) {
+  return (
+    <ul className="ml-4 text-sm">
+      {changes.map(change => (
+        <li key={change.key}>
+          <span className="font-semibold">{change.label}: </span>
+          <del className="text-gray-500">{formatValue(change.key, change.before, timeFormat)}</del>
+          {' → '}
+          <ins className="no-underline font-medium">{formatValue(change.key, change.after, timeFormat)}</ins>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Heading and list for one kind of change; renders nothing when there are none
+function DiffSection({ title, items, children }) {
+  if (items.length === 0) return null;
+  return (
+    <section className="agenda-item mb-4">
+      <h3 className="font-bold uppercase text-sm tracking-wider mb-1">{title} ({items.length})</h3>
+      <ul className="space-y-2">{items.map(children)}</ul>
+    </section>
+  );
+}
+
+// The changes between two versions of an agenda, from diffVersions: meeting details, then added, removed,
+// moved and changed items. Used in the version history and on the printed change notice.
+function VersionDiff({ diff, timeFormat }) {
+  if (isEmptyDiff(diff)) return <p className="italic">No changes between these versions.</p>;
+
+  return (
+    <div>
+      {diff.details.length > 0 && (
+        <section className="agenda-item mb-4">
+          <h3 className="font-bold uppercase text-sm tracking-wider mb-1">Meeting details</h3>
+          <ChangeList changes={diff.details} timeFormat={timeFormat} />
+        </section>
+      )}
+      <DiffSection title="Added items" items={diff.added}>
+        {({ row, number }) => (
+          <li key={row.id}>
+            <span className="font-semibold">Item {number}</span> {row.issue}
+            {row.time && <span className="text-gray-600"> · {displayTime(row.time, timeFormat)}</span>}
+          </li>
+        )}
+      </DiffSection>
+      <DiffSection title="Removed items" items={diff.removed}>
+        {({ row, number }) => (
+          <li key={row.id}>
+            <span className="font-semibold">Item {number}</span> <del>{row.issue}</del>
+          </li>
+        )}
+      </DiffSection>
+      <DiffSection title="Moved items" items={diff.moved}>
+        {({ row, fromNumber, toNumber }) => (
+          <li key={row.id}>
+            {row.issue}: moved from item {fromNumber} to item {toNumber}
+          </li>
+        )}
+      </DiffSection>
+      <DiffSection title="Changed items" items={diff.modified}>
+        {({ row, toNumber, changes }) => (
+          <li key={row.id}>
+            <span className="font-semibold">Item {toNumber}</span> {row.issue}
+            <ChangeList changes={changes} timeFormat={timeFormat} />
+          </li>
+        )}
+      </DiffSection>
+    </div>
+  );
+}
+
+export default VersionDiff;
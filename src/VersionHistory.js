@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import VersionDiff from './VersionDiff';
+import { openChangeNoticeWindow } from './routes';
+import {
+  DRAFT_VERSION,
+  meetingVersions,
+  latestVersion,
+  hasUnpublishedChanges,
+  findVersion,
+  diffVersions,
+  versionLabel,
+  formatPublishedAt,
+} from './versions';
+
+// Publishing and history of the active meeting's agenda: publishes the current agenda as the next numbered
+// version, lists the published versions, and compares any two of them (or the unpublished draft) item by item.
+function VersionHistory({ meeting, timeFormat, onPublish }) {
+  // State for the versions being compared, as version numbers or DRAFT_VERSION; null picks the defaults below
+  const [comparison, setComparison] = useState({ from: null, to: null });
+
+  const versions = meetingVersions(meeting);
+  const latest = latestVersion(meeting);
+  const isChanged = hasUnpublishedChanges(meeting);
+
+  // By default the latest version is compared with the draft if it has changed, or with the version before it
+  const previous = versions.length > 1 ? versions[versions.length - 2] : latest;
+  const defaultFrom = latest && String(isChanged ? latest.number : previous.number);
+  const defaultTo = isChanged ? DRAFT_VERSION : latest && String(latest.number);
+  const fromKey = comparison.from && findVersion(meeting, comparison.from) ? comparison.from : defaultFrom;
+  const toKey = comparison.to && findVersion(meeting, comparison.to) ? comparison.to : defaultTo;
+  const from = findVersion(meeting, fromKey);
+  const to = findVersion(meeting, toKey);
+
+  // Publishes the current agenda after confirming, since a published version can't be changed
+  const handlePublish = () => {
+    const number = latest ? latest.number + 1 : 1;
+    if (!window.confirm(`Publish the agenda as version ${number}? Published versions are kept as they are and can't be edited.`)) return;
+    onPublish();
+    setComparison({ from: null, to: null });
+  };
+
+  const options = [
+    ...[...versions].reverse().map(version => ({ key: String(version.number), label: versionLabel(version) })),
+    { key: DRAFT_VERSION, label: 'Unpublished draft' },
+  ];
+  const selectClassName = "p-2 border border-amber-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500";
+  const buttonClassName = "bg-white hover:bg-amber-100 text-amber-800 border border-amber-300 font-semibold py-2 px-4 rounded-lg transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-amber-500 focus:ring-offset-2 disabled:opacity-50";
+
+  return (
+    <div className="mb-8 p-6 bg-amber-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-bold text-amber-800 mb-4">Published Versions</h2>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <button
+          onClick={handlePublish}
+          disabled={!isChanged}
+          className="bg-amber-600 hover:bg-amber-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50"
+        >
+          Publish Version {latest ? latest.number + 1 : 1}
+        </button>
+        <p className="text-sm text-gray-700">
+          {!latest && 'This agenda has not been published yet.'}
+          {latest && isChanged && `Changed since version ${latest.number} was published. Publish an amended agenda to post the changes.`}
+          {latest && !isChanged && `Version ${latest.number} is up to date.`}
+        </p>
+      </div>
+
+      {versions.length > 0 && (
+        <>
+          <ul className="mb-6 divide-y divide-amber-200 text-sm">
+            {[...versions].reverse().map(version => (
+              <li key={version.number} className="py-2 flex flex-wrap justify-between gap-2">
+                <span className="font-semibold text-gray-800">{versionLabel(version)}</span>
+                <span className="text-gray-600">
+                  Published {formatPublishedAt(version.publishedAt)} · {version.rows.length} {version.rows.length === 1 ? 'item' : 'items'}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+            <label htmlFor="compare-from">Compare</label>
+            <select
+              id="compare-from"
+              value={fromKey}
+              onChange={(e) => setComparison(prev => ({ ...prev, from: e.target.value }))}
+              className={selectClassName}
+            >
+              {options.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <label htmlFor="compare-to">with</label>
+            <select
+              id="compare-to"
+              value={toKey}
+              onChange={(e) => setComparison(prev => ({ ...prev, to: e.target.value }))}
+              className={selectClassName}
+            >
+              {options.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <button onClick={() => openChangeNoticeWindow(fromKey, toKey)} className={buttonClassName}>
+              Change Notice (print)
+            </button>
+          </div>
+
+          <div className="p-4 bg-white rounded-lg border border-amber-200">
+            <VersionDiff diff={diffVersions(from, to)} timeFormat={timeFormat} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VersionHistory;
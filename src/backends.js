@@ -0,0 +1,171 @@
+import {
+  DEFAULT_PREFERENCES,
+  STORAGE_KEY,
+  SCHEMA_VERSION,
+  migrateStoredState,
+  loadMeetingsState,
+  loadRevision,
+  saveMeetingsState,
+  subscribeToMeetingsState,
+} from './storage';
+
+// Storage backends for the meetings data. Every backend has the same interface:
+//   load() resolves to { state, revision }, where state is null if nothing has been saved there yet;
+//   save(state, expectedRevision) resolves to { saved, revision } and refuses to save over a newer revision,
+//     the same optimistic concurrency check as saveMeetingsState; a save that failed for any other reason
+//     resolves with an `error` as well, or rejects;
+//   subscribe(callback) calls callback(state, revision) when another tab or desk saves, and returns a
+//     function that stops listening.
+// A failed request rejects with an Error whose message can be shown to the user.
+
+// Backends the user can choose between, with their labels
+export const STORAGE_BACKENDS = {
+  local: 'This browser (localStorage)',
+  indexedDB: 'This browser, for large agendas (IndexedDB)',
+  rest: 'Shared server',
+};
+
+// localStorage backend: the original behavior, with changes from other tabs arriving as storage events
+export const createLocalBackend = () => ({
+  type: 'local',
+  load: async () => ({ state: loadMeetingsState(), revision: loadRevision() }),
+  save: async (state, expectedRevision) => saveMeetingsState(state, expectedRevision),
+  subscribe: subscribeToMeetingsState,
+});
+
+// IndexedDB database and object store holding the meetings data, under STORAGE_KEY
+const DB_NAME = 'councilAgenda';
+const DB_STORE = 'state';
+
+// Opens the IndexedDB database, creating the object store the first time
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolves with the result of an IndexedDB request
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Turns stored data into the { state, revision } that load() resolves to
+const fromStored = (stored) => {
+  if (!stored || !Array.isArray(stored.meetings) || stored.meetings.length === 0) {
+    return { state: null, revision: stored ? stored.revision || 0 : 0 };
+  }
+  const { meetings, activeMeetingId, revision } = migrateStoredState(stored);
+  return { state: { meetings, activeMeetingId }, revision };
+};
+
+// IndexedDB backend: far more room than localStorage, for years of meetings. IndexedDB has no change
+// events, so each save is announced to the other tabs on a BroadcastChannel.
+export const createIndexedDbBackend = () => {
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(STORAGE_KEY);
+
+  const load = async () => {
+    const db = await openDatabase();
+    const stored = await requestResult(db.transaction(DB_STORE).objectStore(DB_STORE).get(STORAGE_KEY));
+    db.close();
+    return fromStored(stored);
+  };
+
+  // Reads the revision and writes the new data in one transaction, so two tabs can't both save over the same revision
+  const save = async (state, expectedRevision) => {
+    const db = await openDatabase();
+    const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+    const stored = await requestResult(store.get(STORAGE_KEY));
+    const revision = stored ? stored.revision || 0 : 0;
+    if (revision !== expectedRevision) {
+      db.close();
+      return { saved: false, revision };
+    }
+    const { meetings, activeMeetingId } = state;
+    await requestResult(store.put({ schemaVersion: SCHEMA_VERSION, revision: revision + 1, meetings, activeMeetingId }, STORAGE_KEY));
+    db.close();
+    if (channel) channel.postMessage({ revision: revision + 1 });
+    return { saved: true, revision: revision + 1 };
+  };
+
+  const subscribe = (callback) => {
+    if (!channel) return () => {};
+    const handleMessage = () => {
+      load()
+        .then(({ state, revision }) => state && callback(state, revision))
+        .catch(error => console.error("Failed to load meetings from IndexedDB:", error));
+    };
+    channel.addEventListener('message', handleMessage);
+    return () => channel.removeEventListener('message', handleMessage);
+  };
+
+  return { type: 'indexedDB', load, save, subscribe };
+};
+
+// How often the REST backend asks the server for changes saved by other desks, in milliseconds
+export const POLL_INTERVAL = 5000;
+
+// Revisions travel in ETag headers, e.g. `"12"`
+const revisionETag = (revision) => `"${revision}"`;
+
+// Error for a server response that isn't one the REST backend expects
+const responseError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  return new Error(body.error || `The server responded ${response.status} ${response.statusText}`.trim());
+};
+
+// REST backend for the reference server in server/server.js, so several desks can share one agenda.
+// GET <url>/meetings returns the data and its revision as an ETag; PUT sends If-Match with the revision the
+// changes were made against, and the server answers 412 Precondition Failed if another desk saved first.
+export const createRestBackend = (url) => {
+  const endpoint = `${url.replace(/\/+$/, '')}/meetings`;
+
+  const load = async () => {
+    const response = await fetch(endpoint, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw await responseError(response);
+    return fromStored(await response.json());
+  };
+
+  const save = async (state, expectedRevision) => {
+    const { meetings, activeMeetingId } = state;
+    const response = await fetch(endpoint, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'If-Match': revisionETag(expectedRevision) },
+      body: JSON.stringify({ schemaVersion: SCHEMA_VERSION, meetings, activeMeetingId }),
+    });
+    if (response.status === 412) return { saved: false, revision: (await response.json()).revision };
+    if (!response.ok) throw await responseError(response);
+    return { saved: true, revision: (await response.json()).revision };
+  };
+
+  // Polls with If-None-Match, so an unchanged agenda costs the server a 304 and no body.
+  // The first poll always reports the server's data; callers ignore revisions they already have.
+  const subscribe = (callback) => {
+    let etag = null;
+    const poll = async () => {
+      try {
+        const response = await fetch(endpoint, { headers: { Accept: 'application/json', ...(etag && { 'If-None-Match': etag }) } });
+        if (response.status === 304) return;
+        if (!response.ok) throw await responseError(response);
+        etag = response.headers.get('ETag');
+        const { state, revision } = fromStored(await response.json());
+        if (state) callback(state, revision);
+      } catch (error) {
+        console.error("Failed to check the server for changes:", error);
+      }
+    };
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  };
+
+  return { type: 'rest', load, save, subscribe };
+};
+
+// Creates the backend chosen in the storage settings, falling back to localStorage
+export const createBackend = ({ backend, url } = DEFAULT_PREFERENCES.storage) => {
+  if (backend === 'indexedDB' && typeof indexedDB !== 'undefined') return createIndexedDbBackend();
+  if (backend === 'rest' && url) return createRestBackend(url);
+  return createLocalBackend();
+};
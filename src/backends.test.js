@@ -0,0 +1,48 @@
+import { createBackend, createRestBackend } from './backends';
+import { SCHEMA_VERSION } from './storage';
+
+// Fake fetch response with a JSON body
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+const meeting = { id: 'm1', title: 'Regular Session', rows: [] };
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('createBackend falls back to localStorage when the settings are incomplete', () => {
+  expect(createBackend({ backend: 'rest', url: '' }).type).toBe('local');
+  expect(createBackend({ backend: 'rest', url: 'http://agenda.test/api' }).type).toBe('rest');
+});
+
+test('the REST backend loads and migrates the server\'s data', async () => {
+  global.fetch = jest.fn(async () => jsonResponse(200, { revision: 4, meetings: [meeting], activeMeetingId: 'm1' }));
+  const { state, revision } = await createRestBackend('http://agenda.test/api/').load();
+
+  expect(global.fetch.mock.calls[0][0]).toBe('http://agenda.test/api/meetings');
+  expect(revision).toBe(4);
+  expect(state.activeMeetingId).toBe('m1');
+  expect(state.meetings[0].fields).toBeDefined();
+});
+
+test('the REST backend sends the expected revision and reports a newer one', async () => {
+  global.fetch = jest.fn(async () => jsonResponse(412, { error: 'Revision 5 was saved first.', revision: 5 }));
+  const result = await createRestBackend('http://agenda.test/api').save({ meetings: [meeting], activeMeetingId: 'm1' }, 4);
+
+  const [, request] = global.fetch.mock.calls[0];
+  expect(request.method).toBe('PUT');
+  expect(request.headers['If-Match']).toBe('"4"');
+  expect(JSON.parse(request.body).schemaVersion).toBe(SCHEMA_VERSION);
+  expect(result).toEqual({ saved: false, revision: 5 });
+});
+
+test('the REST backend rejects with the server\'s error message', async () => {
+  global.fetch = jest.fn(async () => jsonResponse(500, { error: 'Disk full' }));
+  await expect(createRestBackend('http://agenda.test/api').save({ meetings: [meeting] }, 1)).rejects.toThrow('Disk full');
+});
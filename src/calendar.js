@@ -0,0 +1,113 @@
+import { downloadBlob, exportFileName } from './exporters';
+import { parseTime } from './time';
+import { rowDuration } from './schedule';
+import { itemNumbers } from './sections';
+
+// iCalendar (.ics) export: one event per agenda item, for the whole meeting or for one presenter.
+// Each event's UID comes from its row id, and its SEQUENCE from the time of the export, so importing a
+// newer export updates the events from the previous one instead of adding duplicates.
+
+// Product identifier written into every calendar
+const PRODUCT_ID = '-//Council Agenda//Agenda Export//EN';
+
+// Domain part of event UIDs
+const UID_DOMAIN = 'council-agenda';
+
+// SEQUENCE counts seconds from this instant, keeping it well inside the 32-bit range calendars accept
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+// SEQUENCE for an export made at `now`. It only goes up, however the agenda was stored or restored.
+const sequenceAt = (now) => Math.max(0, Math.floor((now.getTime() - SEQUENCE_EPOCH) / 1000));
+
+// Escapes text for an iCalendar property value
+const escapeText = (value) =>
+  String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Number of UTF-8 bytes a character takes
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Folds a content line so no line is longer than 75 octets, continuing on lines that start with a space
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let length = 0;
+  Array.from(line).forEach(char => {
+    const size = utf8Length(char);
+    if (length + size > 75) {
+      lines.push(current);
+      current = ' ';
+      length = 1;
+    }
+    current += char;
+    length += size;
+  });
+  lines.push(current);
+  return lines.join('\r\n');
+};
+
+// Formats a local Date as a floating iCalendar date-time, e.g. "20260106T180500"
+const formatLocalDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+};
+
+// Formats a Date as a UTC iCalendar date-time, e.g. "20260106T010500Z"
+const formatUtcDateTime = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+// Builds the .ics text for a meeting. When `presenter` is given only that presenter's items are included.
+// Times are written as floating local times, so they show at the same clock time in any calendar.
+// Throws an Error if the meeting has no date.
+export const meetingToIcs = (meeting, { presenter, now = new Date() } = {}) => {
+  if (!meeting.date) throw new Error('Set the meeting date before exporting a calendar.');
+  const [year, month, day] = meeting.date.split('-').map(Number);
+  const numbers = itemNumbers(meeting.rows);
+  const rows = presenter
+    ? meeting.rows.filter(row => String(row.presenter ?? '').trim().toLowerCase() === presenter.trim().toLowerCase())
+    : meeting.rows;
+
+  const events = rows.map(row => {
+    const start = new Date(year, month - 1, day, 0, parseTime(row.time) ?? 0);
+    const end = new Date(start.getTime() + rowDuration(row) * 60000);
+    const description = [`Item ${numbers[row.id]}`, row.section, row.department, row.presenter].filter(Boolean).join('\n');
+    return [
+      'BEGIN:VEVENT',
+      `UID:${row.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      `DTSTART:${formatLocalDateTime(start)}`,
+      `DTEND:${formatLocalDateTime(end)}`,
+      `SEQUENCE:${sequenceAt(now)}`,
+      `SUMMARY:${escapeText(row.issue)}`,
+      `DESCRIPTION:${escapeText(`${meeting.body}: ${meeting.title}\n${description}`)}`,
+      ...(meeting.location ? [`LOCATION:${escapeText(meeting.location)}`] : []),
+      'END:VEVENT',
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(presenter ? `${meeting.title} (${presenter})` : meeting.title)}`,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Downloads the whole meeting as an .ics file
+export const exportMeetingToIcs = (meeting) => {
+  const blob = new Blob([meetingToIcs(meeting)], { type: 'text/calendar;charset=utf-8' });
+  downloadBlob(blob, exportFileName(meeting, 'ics'));
+};
+
+// Downloads one presenter's items as an .ics file, ready to attach to an email to them
+export const exportPresenterToIcs = (meeting, presenter) => {
+  const blob = new Blob([meetingToIcs(meeting, { presenter })], { type: 'text/calendar;charset=utf-8' });
+  downloadBlob(blob, exportFileName({ ...meeting, title: `${meeting.title} ${presenter}` }, 'ics'));
+};
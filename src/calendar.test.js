@@ -0,0 +1,47 @@
+import { meetingToIcs } from './calendar';
+import { createMeeting } from './meetings';
+
+const meeting = createMeeting({
+  title: 'Regular Session',
+  date: '2026-01-06',
+  location: 'Council Chambers, 100 Main St.',
+  rows: [
+    { id: 'a1', time: '18:00', duration: 10, department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' },
+    { id: 'b2', time: '23:55', duration: 15, department: 'Public Works', issue: 'Paving; phase 2', presenter: 'A. Jones' },
+  ],
+});
+const now = new Date(Date.UTC(2026, 0, 2, 12, 0));
+
+test('meetingToIcs writes one event per item with stable UIDs', () => {
+  const ics = meetingToIcs(meeting, { now });
+  expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  expect(ics).toContain('UID:a1@council-agenda\r\nDTSTAMP:20260102T120000Z\r\nDTSTART:20260106T180000\r\nDTEND:20260106T181000');
+  expect(ics).toContain('SUMMARY:Paving\\; phase 2');
+  expect(ics).toContain('DTEND:20260106T181000\r\nSEQUENCE:63288000\r\n');
+  expect(ics).toContain('LOCATION:Council Chambers\\, 100 Main St.');
+  // Items running past midnight end on the next day
+  expect(ics).toContain('DTEND:20260107T001000');
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+});
+
+test('a later export has a higher SEQUENCE even after switching storage starts the revision over', () => {
+  const sequence = (ics) => Number(ics.match(/SEQUENCE:(\d+)/)[1]);
+  // Exported at revision 12, then restored into a new backend at revision 1 and exported again
+  const before = meetingToIcs(meeting, { now });
+  const after = meetingToIcs(meeting, { now: new Date(now.getTime() + 60000) });
+  expect(sequence(after)).toBe(sequence(before) + 60);
+});
+
+test('presenter calendars only include that presenter\'s items', () => {
+  const ics = meetingToIcs(meeting, { presenter: 'a. jones', now });
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  expect(ics).toContain('UID:b2@council-agenda');
+});
+
+test('long lines are folded and undated meetings are rejected', () => {
+  const long = { ...meeting, rows: [{ ...meeting.rows[0], issue: 'x'.repeat(200) }] };
+  const lines = meetingToIcs(long, { now }).split('\r\n');
+  expect(lines.every(line => line.length <= 75)).toBe(true);
+  expect(() => meetingToIcs({ ...meeting, date: '' })).toThrow(/meeting date/);
+});
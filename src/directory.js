@@ -0,0 +1,80 @@
+import { generateId } from './meetings';
+
+// Directory of departments and presenters shared by every meeting.
+// The directory is { departments, presenters }: departments are { id, name, abbreviation, color } and
+// presenters are { id, name, title, department, email }. Rows keep storing plain names, so the directory only
+// suggests and normalizes values and never has to be filled in.
+
+// Colors offered for new departments, in order
+export const DEPARTMENT_COLORS = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+// A directory with nothing in it
+export const EMPTY_DIRECTORY = { departments: [], presenters: [] };
+
+// Creates a department, picking the next unused color
+export const createDepartment = (name, abbreviation, departments) => ({
+  id: generateId(),
+  name,
+  abbreviation,
+  color: DEPARTMENT_COLORS.find(color => !departments.some(d => d.color === color))
+    || DEPARTMENT_COLORS[departments.length % DEPARTMENT_COLORS.length],
+});
+
+// Creates a presenter
+export const createPresenter = (name, title = '', department = '', email = '') => ({
+  id: generateId(),
+  name,
+  title,
+  department,
+  email,
+});
+
+// Reduces a name to letters and digits for comparison, so "J. Smith", "j smith" and "J Smith" all match
+const nameKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Finds the department matching a name or abbreviation, ignoring case and punctuation
+export const findDepartment = (departments, value) => {
+  const key = nameKey(value);
+  if (!key) return undefined;
+  return departments.find(d => nameKey(d.name) === key || (d.abbreviation && nameKey(d.abbreviation) === key));
+};
+
+// Finds the presenter matching a name, ignoring case and punctuation
+export const findPresenter = (presenters, value) => {
+  const key = nameKey(value);
+  if (!key) return undefined;
+  return presenters.find(p => nameKey(p.name) === key);
+};
+
+// Returns the color of a row's department, or undefined if it isn't in the directory
+export const departmentColor = (departments, value) => {
+  const department = findDepartment(departments, value);
+  return department ? department.color : undefined;
+};
+
+// Replaces a row's department and presenter with their directory names.
+// A presenter's department is filled in when the row doesn't have one.
+export const normalizeRow = (row, directory) => {
+  const presenter = findPresenter(directory.presenters, row.presenter);
+  const department = findDepartment(directory.departments, row.department || (presenter ? presenter.department : ''));
+  return {
+    ...row,
+    ...(presenter ? { presenter: presenter.name } : {}),
+    ...(department ? { department: department.name } : {}),
+  };
+};
+
+// Normalizes imported rows against the directory.
+// Returns { rows, unknownDepartments, unknownPresenters }, listing the names the directory doesn't know.
+// A kind of name is only checked once the directory has entries of that kind.
+export const normalizeImportedRows = (rows, directory) => {
+  const normalized = rows.map(row => normalizeRow(row, directory));
+  const unknownValues = (key, entries, find) => (entries.length === 0 ? [] : [
+    ...new Set(normalized.map(row => row[key]).filter(value => value && !find(entries, value))),
+  ]);
+  return {
+    rows: normalized,
+    unknownDepartments: unknownValues('department', directory.departments, findDepartment),
+    unknownPresenters: unknownValues('presenter', directory.presenters, findPresenter),
+  };
+};
@@ -0,0 +1,36 @@
+import { createDepartment, createPresenter, findDepartment, normalizeRow, normalizeImportedRows, departmentColor } from './directory';
+
+const publicWorks = createDepartment('Public Works', 'PW', []);
+const directory = {
+  departments: [publicWorks, createDepartment('Finance', 'FIN', [publicWorks])],
+  presenters: [createPresenter('J. Smith', 'Director', 'Public Works')],
+};
+
+test('new departments get the next unused color', () => {
+  expect(directory.departments[0].color).not.toBe(directory.departments[1].color);
+  expect(departmentColor(directory.departments, 'pw')).toBe(publicWorks.color);
+  expect(departmentColor(directory.departments, 'Parks')).toBeUndefined();
+});
+
+test('departments match by name or abbreviation regardless of case', () => {
+  expect(findDepartment(directory.departments, 'public works').name).toBe('Public Works');
+  expect(findDepartment(directory.departments, 'PW').name).toBe('Public Works');
+  expect(findDepartment(directory.departments, '')).toBeUndefined();
+});
+
+test('normalizeRow uses directory spellings and fills in the presenter\'s department', () => {
+  expect(normalizeRow({ department: '', presenter: 'j smith', issue: 'x' }, directory)).toEqual({
+    department: 'Public Works', presenter: 'J. Smith', issue: 'x',
+  });
+});
+
+test('normalizeImportedRows reports names the directory does not know', () => {
+  const result = normalizeImportedRows([
+    { department: 'PW', presenter: 'J Smith' },
+    { department: 'Parks', presenter: 'L. Chen' },
+  ], directory);
+  expect(result.rows[0]).toEqual({ department: 'Public Works', presenter: 'J. Smith' });
+  expect(result.unknownDepartments).toEqual(['Parks']);
+  expect(result.unknownPresenters).toEqual(['L. Chen']);
+  expect(normalizeImportedRows([{ department: 'Parks' }], { departments: [], presenters: [] }).unknownDepartments).toEqual([]);
+});
@@ -0,0 +1,112 @@
+import { DEFAULT_FIELDS, meetingFields } from './fields';
+import { loadXLSX } from './xlsx';
+
+// Columns written by the spreadsheet exporters, in order: the time, the meeting's item fields, then the
+// rest of the schedule. Headers are the importer's field labels, so an exported file maps automatically
+// when uploaded again. A column with `value` writes what it returns for the row instead of the row's field.
+export const exportColumns = (fields = DEFAULT_FIELDS) => [
+  { key: 'time', label: 'Time' },
+  ...fields,
+  { key: 'duration', label: 'Duration' },
+  { key: 'section', label: 'Section' },
+  { key: 'pinned', label: 'Pinned', value: row => (row.pinned ? 'Yes' : 'No') },
+];
+
+// Identifies JSON files produced by this app
+export const JSON_EXPORT_FORMAT = 'council-agenda';
+export const JSON_EXPORT_VERSION = 1;
+
+// Turns a meeting title and date into a safe file name, e.g. "city-council-2026-01-06"
+export const exportFileName = (meeting, extension) => {
+  const base = [meeting.title, meeting.date]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'agenda'}.${extension}`;
+};
+
+// Builds an array of arrays (header row first) from agenda rows
+export const rowsToSheetData = (rows, fields = DEFAULT_FIELDS) => {
+  const columns = exportColumns(fields);
+  return [
+    columns.map(column => column.label),
+    ...rows.map(row => columns.map(column => (column.value ? column.value(row) : row[column.key] ?? ''))),
+  ];
+};
+
+// Quotes a CSV cell when it contains a delimiter, quote or line break
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds CSV text (RFC 4180 style, CRLF line endings) from agenda rows
+export const rowsToCsv = (rows, fields = DEFAULT_FIELDS) =>
+  rowsToSheetData(rows, fields).map(line => line.map(escapeCsvCell).join(',')).join('\r\n');
+
+// Wraps a meeting in a versioned envelope for JSON export, keeping every field including ids
+export const meetingToJson = (meeting) => JSON.stringify({
+  format: JSON_EXPORT_FORMAT,
+  version: JSON_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  meeting,
+}, null, 2);
+
+// Parses a JSON export back into a meeting object, throwing an Error with a readable message if it is invalid
+export const parseMeetingJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!parsed || parsed.format !== JSON_EXPORT_FORMAT) {
+    throw new Error('The file is not a council agenda export.');
+  }
+  if (parsed.version > JSON_EXPORT_VERSION) {
+    throw new Error(`The file was exported by a newer version of the app (format version ${parsed.version}).`);
+  }
+
+  const { meeting } = parsed;
+  if (!meeting || meeting.id === undefined || !Array.isArray(meeting.rows)) {
+    throw new Error('The file does not contain a meeting with agenda rows.');
+  }
+  return meeting;
+};
+
+// Offers a Blob to the user as a file download
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Downloads the meeting's rows as an .xlsx workbook using the importer's header layout
+export const exportMeetingToXlsx = async (meeting) => {
+  const XLSX = await loadXLSX();
+  const worksheet = XLSX.utils.aoa_to_sheet(rowsToSheetData(meeting.rows, meetingFields(meeting)));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Agenda');
+  XLSX.writeFile(workbook, exportFileName(meeting, 'xlsx'));
+};
+
+// Downloads the meeting's rows as a CSV file.
+// A byte order mark is prepended so Excel opens UTF-8 text (accents, em dashes) correctly.
+export const exportMeetingToCsv = (meeting) => {
+  const blob = new Blob(['\uFEFF', rowsToCsv(meeting.rows, meetingFields(meeting))], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, exportFileName(meeting, 'csv'));
+};
+
+// Downloads the full meeting, including ids and metadata, as JSON
+export const exportMeetingToJson = (meeting) => {
+  const blob = new Blob([meetingToJson(meeting)], { type: 'application/json' });
+  downloadBlob(blob, exportFileName(meeting, 'json'));
+};
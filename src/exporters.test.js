@@ -0,0 +1,56 @@
+import { rowsToSheetData, rowsToCsv, meetingToJson, parseMeetingJson, exportFileName } from './exporters';
+import { createMeeting } from './meetings';
+import { autoMapColumns, parseMappedRows } from './importer';
+
+const rows = [
+  { id: 1, time: '09:00', duration: 15, department: 'Public Works', issue: 'Paving, phase 2', presenter: 'A. "Al" Jones' },
+];
+
+test('rowsToSheetData uses the importer header layout', () => {
+  expect(rowsToSheetData(rows)).toEqual([
+    ['Time', 'Department', 'Issue', 'Presenter', 'Duration', 'Section', 'Pinned'],
+    ['09:00', 'Public Works', 'Paving, phase 2', 'A. "Al" Jones', 15, '', 'No'],
+  ]);
+});
+
+test('rowsToCsv quotes cells containing commas and quotes', () => {
+  expect(rowsToCsv(rows)).toBe(
+    'Time,Department,Issue,Presenter,Duration,Section,Pinned\r\n09:00,Public Works,"Paving, phase 2","A. ""Al"" Jones",15,,No'
+  );
+});
+
+test('exports follow the configured item fields', () => {
+  const fields = [
+    { key: 'issue', label: 'Issue', type: 'text', required: true },
+    { key: 'recommendedAction', label: 'Recommended Action', type: 'textarea', required: false },
+  ];
+  expect(rowsToSheetData([{ ...rows[0], section: 'Consent Calendar', recommendedAction: 'Approve' }], fields)).toEqual([
+    ['Time', 'Issue', 'Recommended Action', 'Duration', 'Section', 'Pinned'],
+    ['09:00', 'Paving, phase 2', 'Approve', 15, 'Consent Calendar', 'No'],
+  ]);
+});
+
+test('a spreadsheet export imports again with pinned items still pinned', () => {
+  const agenda = [
+    { id: 1, time: '18:00', duration: 30, department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith', pinned: false },
+    { id: 2, time: '19:00', duration: 60, department: 'Planning', issue: 'Public hearing', presenter: 'L. Chen', pinned: true },
+  ];
+  const [headers, ...lines] = rowsToSheetData(agenda);
+  const parsed = parseMappedRows({ headers, rows: lines }, autoMapColumns(headers));
+  expect(parsed.map(entry => entry.errors)).toEqual([[], []]);
+  expect(parsed.map(({ row: { id, ...row } }) => row)).toEqual(agenda.map(({ id, ...row }) => ({ ...row, section: '' })));
+});
+
+test('JSON export round-trips the full meeting', () => {
+  const meeting = createMeeting({ title: 'Regular Session', date: '2026-01-06', rows });
+  expect(parseMeetingJson(meetingToJson(meeting))).toEqual(meeting);
+});
+
+test('parseMeetingJson rejects files from elsewhere', () => {
+  expect(() => parseMeetingJson('{"hello": 1}')).toThrow(/not a council agenda export/);
+  expect(() => parseMeetingJson('nope')).toThrow(/not valid JSON/);
+});
+
+test('exportFileName slugs the title and date', () => {
+  expect(exportFileName({ title: 'City Council', date: '2026-01-06' }, 'csv')).toBe('city-council-2026-01-06.csv');
+});
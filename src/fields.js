@@ -0,0 +1,51 @@
+// Configurable agenda item fields.
+// Each meeting has a `fields` list of { key, label, type, required } naming the values its items carry, in
+// column order. Time, duration and section are part of every item's schedule, so they aren't listed here.
+
+// Kinds of input a field can use
+export const FIELD_TYPES = { text: 'Short text', textarea: 'Long text', url: 'Link' };
+
+// Fields offered when configuring a meeting. The first three are the original agenda columns.
+export const FIELD_CATALOG = [
+  { key: 'department', label: 'Department', type: 'text', required: true },
+  { key: 'issue', label: 'Issue', type: 'text', required: true },
+  { key: 'presenter', label: 'Presenter', type: 'text', required: true },
+  { key: 'staffReport', label: 'Staff Report', type: 'url', required: false },
+  { key: 'recommendedAction', label: 'Recommended Action', type: 'textarea', required: false },
+  { key: 'fiscalImpact', label: 'Fiscal Impact', type: 'text', required: false },
+];
+
+// Fields a meeting starts with
+export const DEFAULT_FIELDS = FIELD_CATALOG.slice(0, 3);
+
+// The issue is an item's title everywhere in the app, so it can't be removed from a meeting
+export const LOCKED_FIELD_KEYS = ['issue'];
+
+// Row properties that aren't item fields, so custom fields can't take their keys
+const RESERVED_KEYS = [
+  'id', 'time', 'importedTime', 'duration', 'pinned', 'section', 'actualStart', 'actualEnd', 'motions',
+  'speakers', 'speakerLog', 'currentSpeaker',
+];
+
+// Returns the fields configured for a meeting; meetings saved before fields were configurable use the defaults
+export const meetingFields = (meeting) => meeting.fields || DEFAULT_FIELDS;
+
+// Creates a custom field, deriving a camelCase key from the label that doesn't clash with existing fields
+export const createCustomField = (label, type, fields) => {
+  const words = label.toLowerCase().match(/[a-z0-9]+/g) || ['field'];
+  const base = words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+  const taken = [...RESERVED_KEYS, ...fields.map(field => field.key)];
+  let key = base;
+  for (let n = 2; taken.includes(key); n += 1) key = `${base}${n}`;
+  return { key, label, type, required: false };
+};
+
+// Lists the labels of required fields left empty in a row or form
+export const missingFieldValues = (fields, values) =>
+  fields.filter(field => field.required && !String(values[field.key] ?? '').trim()).map(field => field.label);
+
+// Joins field labels for a sentence, e.g. "department, issue and presenter"
+export const describeFields = (labels) => {
+  const words = labels.map(label => label.toLowerCase());
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+};
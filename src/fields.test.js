@@ -0,0 +1,20 @@
+import { DEFAULT_FIELDS, createCustomField, missingFieldValues, describeFields } from './fields';
+
+test('custom fields get camelCase keys that avoid existing fields and row properties', () => {
+  expect(createCustomField('Staff contact', 'text', DEFAULT_FIELDS).key).toBe('staffContact');
+  expect(createCustomField('Issue', 'text', DEFAULT_FIELDS).key).toBe('issue2');
+  expect(createCustomField('Time', 'text', DEFAULT_FIELDS).key).toBe('time2');
+});
+
+test('custom fields avoid the keys of public comment speakers', () => {
+  expect(createCustomField('Speakers', 'text', DEFAULT_FIELDS).key).toBe('speakers2');
+  expect(createCustomField('Speaker log', 'text', DEFAULT_FIELDS).key).toBe('speakerLog2');
+  expect(createCustomField('Current speaker', 'text', DEFAULT_FIELDS).key).toBe('currentSpeaker2');
+});
+
+test('missingFieldValues lists empty required fields for the form message', () => {
+  const missing = missingFieldValues(DEFAULT_FIELDS, { department: 'Clerk', issue: '  ' });
+  expect(missing).toEqual(['Issue', 'Presenter']);
+  expect(describeFields(missing)).toBe('issue and presenter');
+  expect(describeFields(DEFAULT_FIELDS.map(field => field.label))).toBe('department, issue and presenter');
+});
@@ -0,0 +1,63 @@
+import { rowDuration } from './schedule';
+
+// Search, filters and grouping for the agenda table.
+// Filters are { query, department, presenter, groupBy }: `query` is free text matched against every item
+// field, `department` and `presenter` list the values to show (empty shows all) and `groupBy` names the
+// field rows are grouped by, or ''. They are kept in the URL so a filtered view can be shared as a link.
+
+// Filters that show every row
+export const EMPTY_FILTERS = { query: '', department: [], presenter: [], groupBy: '' };
+
+// Fields with a multi-select filter, which are also the fields the table can be grouped by
+export const FILTER_FIELDS = ['department', 'presenter'];
+
+// Reads filters from URL query parameters, e.g. "q=paving&department=Public+Works&group=department"
+export const filtersFromParams = (params) => ({
+  query: params.get('q') || '',
+  department: params.getAll('department'),
+  presenter: params.getAll('presenter'),
+  groupBy: FILTER_FIELDS.includes(params.get('group')) ? params.get('group') : '',
+});
+
+// Writes filters as URL query parameters, leaving out anything that isn't set
+export const filtersToParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.query) params.set('q', filters.query);
+  FILTER_FIELDS.forEach(key => filters[key].forEach(value => params.append(key, value)));
+  if (filters.groupBy) params.set('group', filters.groupBy);
+  return params;
+};
+
+// Whether any filter hides rows
+export const isFiltering = (filters) =>
+  filters.query.trim() !== '' || FILTER_FIELDS.some(key => filters[key].length > 0);
+
+// Lists the distinct non-empty values of a field across the rows, sorted
+export const distinctValues = (rows, key) =>
+  [...new Set(rows.map(row => String(row[key] ?? '').trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Returns the rows matching the filters as { row, index } entries, where `index` is the row's position
+// in the agenda. The search ignores case and matches any of the meeting's item fields.
+export const filterRows = (rows, filters, fields) => {
+  const query = filters.query.trim().toLowerCase();
+  return rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) =>
+      FILTER_FIELDS.every(key => filters[key].length === 0 || filters[key].includes(String(row[key] ?? '').trim()))
+      && (!query || fields.some(field => String(row[field.key] ?? '').toLowerCase().includes(query)))
+    );
+};
+
+// Groups filtered entries by the value of a field, in order of first appearance.
+// Returns [{ value, entries, totalMinutes }]; rows without a value are grouped under ''.
+export const groupEntries = (entries, key) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const value = String(entry.row[key] ?? '').trim();
+    if (!groups.has(value)) groups.set(value, { value, entries: [], totalMinutes: 0 });
+    const group = groups.get(value);
+    group.entries.push(entry);
+    group.totalMinutes += rowDuration(entry.row);
+  });
+  return [...groups.values()];
+};
@@ -0,0 +1,29 @@
+import { EMPTY_FILTERS, filtersFromParams, filtersToParams, filterRows, groupEntries, distinctValues } from './filters';
+import { DEFAULT_FIELDS } from './fields';
+
+const rows = [
+  { id: 1, duration: 10, department: 'Public Works', issue: 'Paving contract', presenter: 'A. Jones' },
+  { id: 2, duration: 20, department: 'Finance', issue: 'Budget amendment', presenter: 'B. Lee' },
+  { id: 3, duration: 5, department: 'Public Works', issue: 'Storm drains', presenter: 'B. Lee' },
+];
+
+test('filters round-trip through URL parameters', () => {
+  const filters = { query: 'drain', department: ['Public Works', 'Finance'], presenter: [], groupBy: 'department' };
+  const params = filtersToParams(filters);
+  expect(params.toString()).toBe('q=drain&department=Public+Works&department=Finance&group=department');
+  expect(filtersFromParams(params)).toEqual(filters);
+  expect(filtersFromParams(new URLSearchParams('group=nonsense'))).toEqual(EMPTY_FILTERS);
+});
+
+test('filterRows combines the search with the multi-select filters and keeps agenda positions', () => {
+  const byDepartment = filterRows(rows, { ...EMPTY_FILTERS, department: ['Public Works'] }, DEFAULT_FIELDS);
+  expect(byDepartment.map(entry => entry.index)).toEqual([0, 2]);
+  const searched = filterRows(rows, { ...EMPTY_FILTERS, query: 'LEE', department: ['Public Works'] }, DEFAULT_FIELDS);
+  expect(searched.map(entry => entry.row.id)).toEqual([3]);
+});
+
+test('groupEntries counts items and totals their time per group', () => {
+  const groups = groupEntries(filterRows(rows, EMPTY_FILTERS, DEFAULT_FIELDS), 'department');
+  expect(groups.map(g => [g.value, g.entries.length, g.totalMinutes])).toEqual([['Public Works', 2, 15], ['Finance', 1, 20]]);
+  expect(distinctValues(rows, 'presenter')).toEqual(['A. Jones', 'B. Lee']);
+});
@@ -0,0 +1,125 @@
+import { sameValue, withoutScheduledTime } from './sync';
+
+// Undo/redo history for agenda edits.
+// Each entry records the fields of one meeting that a change touched, before and after it. Row changes are
+// kept as a patch of just the rows and row fields that changed, so undoing or redoing applies that change to
+// the meeting as it is now and leaves later changes alone, such as live tracking or edits from another desk.
+
+// Oldest entries are dropped beyond this many, to keep the saved history small
+export const HISTORY_LIMIT = 50;
+
+// An empty history
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Records a change. Any undone changes that could have been redone are discarded.
+export const pushEntry = (history, entry) => ({
+  past: [...history.past, entry].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+// Moves the latest change to the redo list. Returns { history, entry }, with entry null when there is nothing to undo.
+export const undoEntry = (history) => {
+  if (history.past.length === 0) return { history, entry: null };
+  const entry = history.past[history.past.length - 1];
+  return {
+    history: { past: history.past.slice(0, -1), future: [entry, ...history.future] },
+    entry,
+  };
+};
+
+// Moves the next undone change back to the undo list. Returns { history, entry }, with entry null when there is nothing to redo.
+export const redoEntry = (history) => {
+  if (history.future.length === 0) return { history, entry: null };
+  const [entry, ...future] = history.future;
+  return {
+    history: { past: [...history.past, entry], future },
+    entry,
+  };
+};
+
+// Row fields recorded while the meeting runs rather than edited on the agenda. Entries leave them out of
+// changes to a row, so undo doesn't roll them back; a row that is added or removed is recorded whole.
+const UNTRACKED_ROW_KEYS = ['actualStart', 'actualEnd', 'speakers', 'speakerLog'];
+
+// Lists the row fields an entry records. Times of unpinned rows follow the schedule, so they're left out.
+const trackedKeys = (...rows) => [...new Set(rows.flatMap(row => Object.keys(row)))]
+  .filter(key => !UNTRACKED_ROW_KEYS.includes(key) && (key !== 'time' || rows.some(row => row.pinned)));
+
+// Copies the given fields of a row, with null for missing ones so undo can clear fields a change added
+const pickFields = (row, keys) => keys.reduce((fields, key) => ({ ...fields, [key]: row[key] ?? null }), {});
+
+// Compares a meeting's rows before and after a change. Returns { before, after } row patches, or null if
+// nothing an entry records has changed. A patch is { rows, order }: `rows` maps the id of each changed row
+// to its changed fields, to the whole row (apart from a scheduled time) if it only exists on that side, or
+// to null if it doesn't exist on that side, and `order` lists the row ids
+// in order when the change added, removed or moved rows (null otherwise).
+export const diffRows = (beforeRows, afterRows) => {
+  const beforeById = new Map(beforeRows.map(row => [row.id, row]));
+  const afterById = new Map(afterRows.map(row => [row.id, row]));
+  const before = {};
+  const after = {};
+  [...new Set([...beforeById.keys(), ...afterById.keys()])].forEach(id => {
+    const [b, a] = [beforeById.get(id), afterById.get(id)];
+    if (!a || !b) {
+      before[id] = b ? withoutScheduledTime(b) : null;
+      after[id] = a ? withoutScheduledTime(a) : null;
+      return;
+    }
+    const keys = trackedKeys(b, a).filter(key => !sameValue(b[key] ?? null, a[key] ?? null));
+    if (keys.length === 0) return;
+    before[id] = pickFields(b, keys);
+    after[id] = pickFields(a, keys);
+  });
+
+  const beforeOrder = beforeRows.map(row => row.id);
+  const afterOrder = afterRows.map(row => row.id);
+  const isReordered = !sameValue(beforeOrder, afterOrder);
+  if (Object.keys(before).length === 0 && !isReordered) return null;
+  return {
+    before: { rows: before, order: isReordered ? beforeOrder : null },
+    after: { rows: after, order: isReordered ? afterOrder : null },
+  };
+};
+
+// Applies one side of a row patch to the current rows: changed fields are set, rows are removed or restored,
+// and the recorded order is restored. Rows the patch doesn't know about, e.g. added on another desk, stay
+// after the row they followed.
+export const applyRowPatch = (rows, patch) => {
+  const ids = rows.map(row => String(row.id));
+  const kept = rows
+    .filter(row => patch.rows[row.id] !== null)
+    .map(row => (patch.rows[row.id] ? { ...row, ...patch.rows[row.id] } : row));
+  const restored = Object.entries(patch.rows)
+    .filter(([id, fields]) => fields && !ids.includes(id))
+    .map(([, fields]) => fields);
+  const all = [...kept, ...restored];
+  if (!patch.order) return all;
+
+  const order = patch.order.map(String);
+  const ordered = order.map(id => all.find(row => String(row.id) === id)).filter(Boolean);
+  all.forEach((row, index) => {
+    if (order.includes(String(row.id))) return;
+    const previous = index === 0 ? -1 : ordered.indexOf(all[index - 1]);
+    ordered.splice(previous + 1, 0, row);
+  });
+  return ordered;
+};
+
+// Builds the entry for replacing a meeting with another version of it, e.g. one restored from a backup
+export const replacementEntry = (label, current, replacement) => {
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(replacement)])].filter(key => key !== 'id' && key !== 'rows');
+  const before = pickFields(current, keys);
+  const after = pickFields(replacement, keys);
+  const rowPatch = diffRows(current.rows, replacement.rows);
+  if (rowPatch) {
+    before.rows = rowPatch.before;
+    after.rows = rowPatch.after;
+  }
+  return { label, meetingId: current.id, before, after };
+};
+
+// Applies one side of an entry (its `before` or `after` fields) to the meeting it belongs to
+export const applyEntryFields = (meeting, fields) => {
+  const { rows, ...details } = fields;
+  return rows ? { ...meeting, ...details, rows: applyRowPatch(meeting.rows, rows) } : { ...meeting, ...details };
+};
@@ -0,0 +1,80 @@
+import { EMPTY_HISTORY, HISTORY_LIMIT, pushEntry, undoEntry, redoEntry, diffRows, applyRowPatch } from './history';
+
+test('undo and redo move entries between the past and future lists', () => {
+  let history = pushEntry(EMPTY_HISTORY, { label: 'first' });
+  history = pushEntry(history, { label: 'second' });
+
+  const undone = undoEntry(history);
+  expect(undone.entry.label).toBe('second');
+  expect(undone.history.future.map(e => e.label)).toEqual(['second']);
+
+  const redone = redoEntry(undone.history);
+  expect(redone.entry.label).toBe('second');
+  expect(redone.history.past.map(e => e.label)).toEqual(['first', 'second']);
+});
+
+test('a new change clears the redo list and old entries are dropped past the limit', () => {
+  let history = EMPTY_HISTORY;
+  for (let i = 0; i < HISTORY_LIMIT + 5; i += 1) history = pushEntry(history, { label: String(i) });
+  expect(history.past).toHaveLength(HISTORY_LIMIT);
+  expect(history.past[0].label).toBe('5');
+
+  const { history: undone } = undoEntry(history);
+  expect(pushEntry(undone, { label: 'new' }).future).toEqual([]);
+  expect(undoEntry(EMPTY_HISTORY).entry).toBeNull();
+});
+
+const rows = [
+  { id: 'a', issue: 'Roll call', time: '18:00', duration: 5 },
+  { id: 'b', issue: 'Paving', time: '18:05', duration: 20 },
+  { id: 'c', issue: 'Budget', time: '18:25', duration: 30 },
+];
+
+test('row patches record only the rows and fields a change touched', () => {
+  const edited = [rows[0], { ...rows[1], issue: 'Road paving', time: '18:10' }, rows[2]];
+  expect(diffRows(rows, edited)).toEqual({
+    before: { rows: { b: { issue: 'Paving' } }, order: null },
+    after: { rows: { b: { issue: 'Road paving' } }, order: null },
+  });
+  expect(diffRows(rows, rows.map(row => ({ ...row, actualStart: '2026-01-06T18:00:00.000Z' })))).toBeNull();
+});
+
+test('undoing a patch keeps changes made to the rows since it was recorded', () => {
+  const { before } = diffRows(rows, rows.filter(row => row.id !== 'b'));
+  // Since the delete, the meeting went live and another desk added an item after "Budget"
+  const current = [
+    { ...rows[0], actualStart: 'start-a', actualEnd: 'end-a' },
+    { ...rows[2], actualStart: 'start-c' },
+    { id: 'd', issue: 'Parks', duration: 10 },
+  ];
+  expect(applyRowPatch(current, before)).toEqual([
+    current[0],
+    { id: 'b', issue: 'Paving', duration: 20 },
+    current[1],
+    current[2],
+  ]);
+});
+
+test('a patch restores the order of moved rows and fields a change added', () => {
+  const moved = [{ ...rows[2], pinned: true, time: '18:00' }, rows[0], rows[1]];
+  const { before, after } = diffRows(rows, moved);
+  expect(before.order).toEqual(['a', 'b', 'c']);
+  expect(applyRowPatch(moved, before)).toEqual(rows.map(row => (row.id === 'c' ? { ...row, pinned: null } : row)));
+  expect(applyRowPatch(rows, after).map(row => row.id)).toEqual(['c', 'a', 'b']);
+});
+
+test('undoing a delete brings the row back with its speakers and actual times', () => {
+  const live = [
+    rows[0],
+    {
+      ...rows[1],
+      actualStart: 'start-b',
+      speakers: [{ id: 's1', name: 'Ana Ruiz', position: 'for', topic: '' }],
+      speakerLog: [{ id: 's0', name: 'Li Wei', position: 'against', topic: '', startedAt: 'x', endedAt: 'y' }],
+    },
+    rows[2],
+  ];
+  const { before } = diffRows(live, live.filter(row => row.id !== 'b'));
+  const { time, ...restored } = live[1];
+  expect(applyRowPatch(live.filter(row => row.id !== 'b'), before)).toEqual([live[0], restored, live[2]]);
+});
@@ -0,0 +1,167 @@
+import { generateId } from './meetings';
+import { normalizeTime } from './time';
+import { inferDurations, parseDuration } from './schedule';
+import { DEFAULT_FIELDS } from './fields';
+import { loadXLSX } from './xlsx';
+
+// Spreadsheet import: reading workbooks, mapping columns to agenda fields, validating rows and
+// combining them with an existing agenda.
+
+// Schedule fields a column can be mapped to on every meeting, whatever item fields it has
+export const SCHEDULE_IMPORT_FIELDS = [
+  { key: 'time', label: 'Time', required: false },
+  { key: 'duration', label: 'Duration', required: false },
+  { key: 'section', label: 'Section', required: false },
+  { key: 'pinned', label: 'Pinned', required: false },
+];
+
+// Cell values that pin an item to its time; anything else leaves it following the schedule
+const PINNED_VALUES = ['yes', 'true', '1'];
+
+// Agenda fields a column can be mapped to: the schedule fields plus the meeting's configured item fields.
+// Required fields must be mapped and filled in on every row.
+export const importFields = (fields = DEFAULT_FIELDS) => [...SCHEDULE_IMPORT_FIELDS, ...fields];
+
+// Ways imported rows can be combined with the rows already on the agenda
+export const IMPORT_MODES = {
+  append: 'Append to the agenda',
+  replace: 'Replace the agenda',
+  merge: 'Merge (update items with the same time and issue, add the rest)',
+};
+
+// File extensions the importer accepts
+export const IMPORT_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Turns a worksheet into { headers, rows }, where rows are arrays of cell values.
+// The first non-empty row is taken as the header row.
+const worksheetToTable = (XLSX, worksheet) => {
+  const json = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
+  if (json.length === 0) return { headers: [], rows: [] };
+  return {
+    headers: json[0].map(header => String(header ?? '').trim()),
+    rows: json.slice(1),
+  };
+};
+
+// Reads a workbook from an ArrayBuffer, loading the spreadsheet library if needed.
+// Resolves to { sheetNames, tables }, with every sheet already turned into a table.
+export const readWorkbook = async (arrayBuffer) => {
+  const XLSX = await loadXLSX();
+  const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
+  return {
+    sheetNames: workbook.SheetNames,
+    tables: Object.fromEntries(workbook.SheetNames.map(name => [name, worksheetToTable(XLSX, workbook.Sheets[name])])),
+  };
+};
+
+// Returns one sheet of a workbook read by readWorkbook as { headers, rows }
+export const sheetToTable = (workbook, sheetName) => workbook.tables[sheetName] || { headers: [], rows: [] };
+
+// Guesses a mapping of field key to column index by matching header names case-insensitively.
+// Fields without a matching header map to -1.
+export const autoMapColumns = (headers, fields = DEFAULT_FIELDS) => {
+  const normalized = headers.map(header => header.toLowerCase());
+  return importFields(fields).reduce((mapping, field) => ({
+    ...mapping,
+    [field.key]: normalized.indexOf(field.label.toLowerCase()),
+  }), {});
+};
+
+// Applies a saved mapping (field key to header name) to the headers of a sheet.
+// Saved header names that aren't in the sheet fall back to the automatic guess.
+export const applySavedMapping = (headers, savedMapping, fields = DEFAULT_FIELDS) => {
+  const mapping = autoMapColumns(headers, fields);
+  Object.entries(savedMapping).forEach(([key, headerName]) => {
+    if (!(key in mapping)) return; // A field this meeting doesn't have
+    const index = headers.findIndex(header => header.toLowerCase() === String(headerName).toLowerCase());
+    if (index !== -1) mapping[key] = index;
+  });
+  return mapping;
+};
+
+// Converts a mapping of column indexes to header names, so it can be saved and reused on other files
+export const mappingToHeaderNames = (headers, mapping) =>
+  Object.entries(mapping).reduce((saved, [key, index]) => (
+    index === -1 ? saved : { ...saved, [key]: headers[index] }
+  ), {});
+
+// Lists the required fields that have no column mapped
+export const missingRequiredFields = (mapping, fields = DEFAULT_FIELDS) =>
+  importFields(fields).filter(field => field.required && (mapping[field.key] ?? -1) === -1).map(field => field.label);
+
+// Builds agenda rows from the sheet using the mapping, validating each one.
+// Returns one entry per non-empty sheet row: { row, errors, line }, where line is the spreadsheet row number.
+export const parseMappedRows = (table, mapping, fields = DEFAULT_FIELDS) =>
+  table.rows
+    .map((cells, index) => {
+      const cell = (key) => {
+        const column = mapping[key] ?? -1;
+        return column === -1 || cells[column] === undefined ? '' : cells[column];
+      };
+      const errors = [];
+      const row = {
+        id: generateId(),
+        pinned: PINNED_VALUES.includes(String(cell('pinned')).trim().toLowerCase()),
+        section: String(cell('section')).trim(),
+      };
+
+      fields.forEach(field => {
+        row[field.key] = String(cell(field.key)).trim();
+        if (field.required && row[field.key] === '') errors.push(`${field.label} is missing`);
+      });
+
+      // Accept Excel serials (including full date-time serials) and text times
+      const rawTime = cell('time');
+      row.time = rawTime === '' ? '' : normalizeTime(rawTime);
+      if (row.time === null) {
+        errors.push(`"${rawTime}" is not a valid time`);
+        row.time = String(rawTime);
+      }
+
+      const rawDuration = cell('duration');
+      if (rawDuration !== '') {
+        const duration = parseDuration(rawDuration);
+        if (duration === null) errors.push(`"${rawDuration}" is not a valid duration`);
+        else row.duration = duration;
+      }
+
+      return { row, errors, line: index + 2, isEmpty: cells.every(value => String(value ?? '').trim() === '') };
+    })
+    .filter(entry => !entry.isEmpty)
+    .map(({ isEmpty, ...entry }) => entry);
+
+// Key used to recognize the same item across imports. Rows remember the time their file gave them as
+// `importedTime`, since their `time` follows the schedule once they're on the agenda.
+const duplicateKey = (row) => `${normalizeTime(row.importedTime ?? row.time) ?? ''}|${String(row.issue).trim().toLowerCase()}`;
+
+// Combines imported rows with the existing agenda rows.
+// Durations missing from the file are inferred from the gaps between its times.
+// Returns { rows, added, updated }.
+export const combineImportedRows = (existingRows, importedRows, mode) => {
+  const incoming = inferDurations(importedRows).map(row => ({ ...row, importedTime: row.time }));
+
+  if (mode === 'replace') return { rows: incoming, added: incoming.length, updated: 0 };
+  if (mode === 'append') return { rows: [...existingRows, ...incoming], added: incoming.length, updated: 0 };
+
+  // Merge: rows matching an existing item by the file's time and issue update it in place, keeping its id
+  const rows = [...existingRows];
+  const indexByKey = new Map(rows.map((row, index) => [duplicateKey(row), index]));
+  let added = 0;
+  let updated = 0;
+
+  incoming.forEach(row => {
+    const key = duplicateKey(row);
+    if (indexByKey.has(key)) {
+      const index = indexByKey.get(key);
+      const { id, pinned, time, ...fields } = row;
+      rows[index] = { ...rows[index], ...fields };
+      updated += 1;
+    } else {
+      indexByKey.set(key, rows.length);
+      rows.push(row);
+      added += 1;
+    }
+  });
+
+  return { rows, added, updated };
+};
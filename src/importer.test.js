@@ -0,0 +1,87 @@
+import {
+  autoMapColumns,
+  applySavedMapping,
+  mappingToHeaderNames,
+  missingRequiredFields,
+  parseMappedRows,
+  combineImportedRows,
+} from './importer';
+import { applySchedule } from './schedule';
+
+const table = {
+  headers: ['Start', 'Dept', 'Item', 'Speaker'],
+  rows: [
+    [0.375, 'Clerk', 'Roll call', 'J. Smith'],
+    ['', '', '', ''],
+    ['25:00', 'Finance', 'Budget', 'R. Diaz'],
+    ['9:30 am', 'Planning', '', 'L. Chen'],
+  ],
+};
+const mapping = { time: 0, duration: -1, section: -1, pinned: -1, department: 1, issue: 2, presenter: 3 };
+
+test('autoMapColumns matches headers case-insensitively', () => {
+  expect(autoMapColumns(['ISSUE', 'time', 'Other'])).toEqual({
+    time: 1, duration: -1, section: -1, pinned: -1, department: -1, issue: 0, presenter: -1,
+  });
+  expect(missingRequiredFields(autoMapColumns(['Issue']))).toEqual(['Department', 'Presenter']);
+});
+
+test('saved mappings are stored by header name and reapplied to other sheets', () => {
+  const saved = mappingToHeaderNames(table.headers, mapping);
+  expect(saved).toEqual({ time: 'Start', department: 'Dept', issue: 'Item', presenter: 'Speaker' });
+  expect(applySavedMapping(['Speaker', 'Item', 'Dept', 'Start'], saved)).toEqual({
+    time: 3, duration: -1, section: -1, pinned: -1, department: 2, issue: 1, presenter: 0,
+  });
+});
+
+test('parseMappedRows validates each row and skips blank ones', () => {
+  const parsed = parseMappedRows(table, mapping);
+  expect(parsed.map(entry => entry.line)).toEqual([2, 4, 5]);
+  expect(parsed[0].row).toMatchObject({ time: '09:00', department: 'Clerk', issue: 'Roll call' });
+  expect(parsed[0].errors).toEqual([]);
+  expect(parsed[1].errors).toEqual(['"25:00" is not a valid time']);
+  expect(parsed[2].errors).toEqual(['Issue is missing']);
+});
+
+test('merge updates items with the same time and issue and appends the rest', () => {
+  const existing = [{ id: 'keep', time: '09:00', issue: 'Roll Call', department: 'Clerk', presenter: 'Old' }];
+  const imported = [
+    { id: 'x', time: '09:00', issue: 'roll call', department: 'Clerk', presenter: 'New' },
+    { id: 'y', time: '09:10', issue: 'Minutes', department: 'Clerk', presenter: 'New' },
+  ];
+  const { rows, added, updated } = combineImportedRows(existing, imported, 'merge');
+  expect([added, updated]).toEqual([1, 1]);
+  expect(rows.map(r => r.id)).toEqual(['keep', 'y']);
+  expect(rows[0].presenter).toBe('New');
+  expect(combineImportedRows(existing, imported, 'replace').rows.map(r => r.id)).toEqual(['x', 'y']);
+});
+
+test('merge recognizes appended items after the schedule has moved their times', () => {
+  const imported = [
+    { id: 'x', time: '09:00', issue: 'Roll call', duration: 10 },
+    { id: 'y', time: '09:10', issue: 'Minutes', duration: 10 },
+  ];
+  const appended = combineImportedRows([{ id: 'a', time: '08:30', issue: 'Pledge', duration: 5 }], imported, 'append').rows;
+  // Once on the agenda the unpinned items follow the meeting's start time instead of the file's
+  const scheduled = applySchedule(appended, '18:00');
+  const reimported = imported.map(row => ({ ...row, id: `${row.id}2`, presenter: 'New' }));
+
+  const { rows, added, updated } = combineImportedRows(scheduled, reimported, 'merge');
+  expect([added, updated]).toEqual([0, 2]);
+  expect(rows.map(r => r.id)).toEqual(['a', 'x', 'y']);
+  expect(rows[2]).toMatchObject({ time: '18:15', presenter: 'New' });
+});
+
+test('configured item fields are mapped and read like the built-in ones', () => {
+  const fields = [
+    { key: 'issue', label: 'Issue', type: 'text', required: true },
+    { key: 'fiscalImpact', label: 'Fiscal Impact', type: 'text', required: false },
+  ];
+  const sheet = { headers: ['Issue', 'Fiscal impact', 'Section'], rows: [['Budget', '$40,000', 'New Business']] };
+  const fieldMapping = autoMapColumns(sheet.headers, fields);
+  expect(fieldMapping).toEqual({ time: -1, duration: -1, section: 2, pinned: -1, issue: 0, fiscalImpact: 1 });
+  expect(missingRequiredFields(fieldMapping, fields)).toEqual([]);
+  expect(parseMappedRows(sheet, fieldMapping, fields)[0].row).toMatchObject({
+    issue: 'Budget', fiscalImpact: '$40,000', section: 'New Business',
+  });
+});
@@ -2,15 +2,34 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import DisplayView from './DisplayView';
+import MinutesView from './MinutesView';
+import AgendaPrintView from './AgendaPrintView';
+import ChangeNoticeView from './ChangeNoticeView';
+import { currentRoute } from './routes';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import reportWebVitals from './reportWebVitals';
 
+// Component rendered for each route
+const ROUTE_COMPONENTS = {
+  app: App,
+  display: DisplayView,
+  minutes: MinutesView,
+  agenda: AgendaPrintView,
+  notice: ChangeNoticeView,
+};
+const RouteComponent = ROUTE_COMPONENTS[currentRoute()];
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <RouteComponent />
   </React.StrictMode>
 );
 
+// Cache the app so it installs and keeps working without a network connection
+serviceWorkerRegistration.register();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
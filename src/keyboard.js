@@ -0,0 +1,4 @@
+// Returns true when a key press comes from a form field, where app-wide shortcuts shouldn't fire
+export const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
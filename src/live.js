@@ -0,0 +1,99 @@
+// Live meeting tracking.
+// While a meeting is live, `currentRowId` names the item under discussion. Each row records when it
+// actually started and ended (`actualStart`/`actualEnd`, ISO timestamps) so they can be reported on later.
+
+// Returns true while the meeting is being run live and its current item still exists
+export const isLive = (meeting) =>
+  Boolean(meeting && meeting.currentRowId != null && meeting.rows.some(row => row.id === meeting.currentRowId));
+
+// Index of the current item, or -1 when the meeting isn't live
+export const currentIndex = (meeting) =>
+  isLive(meeting) ? meeting.rows.findIndex(row => row.id === meeting.currentRowId) : -1;
+
+// Sets fields on a single row of the meeting
+const updateRow = (rows, id, changes) => rows.map(row => (row.id === id ? { ...row, ...changes } : row));
+
+// Starts the meeting at its first item
+export const startLive = (meeting, now = new Date()) => {
+  if (meeting.rows.length === 0) return meeting;
+  const first = meeting.rows[0];
+  return {
+    ...meeting,
+    currentRowId: first.id,
+    liveStartedAt: now.toISOString(),
+    liveEndedAt: null,
+    rows: updateRow(meeting.rows, first.id, { actualStart: now.toISOString(), actualEnd: null }),
+  };
+};
+
+// Ends the live meeting, closing the current item and marking the meeting completed
+export const endLive = (meeting, now = new Date()) => {
+  const index = currentIndex(meeting);
+  const rows = index === -1
+    ? meeting.rows
+    : updateRow(meeting.rows, meeting.currentRowId, { actualEnd: now.toISOString() });
+  return { ...meeting, rows, currentRowId: null, liveEndedAt: now.toISOString(), status: 'completed' };
+};
+
+// Closes the current item and opens the next one. After the last item the meeting ends.
+export const goToNext = (meeting, now = new Date()) => {
+  const index = currentIndex(meeting);
+  if (index === -1) return meeting;
+  if (index === meeting.rows.length - 1) return endLive(meeting, now);
+
+  const current = meeting.rows[index];
+  const next = meeting.rows[index + 1];
+  let rows = updateRow(meeting.rows, current.id, { actualEnd: now.toISOString() });
+  rows = updateRow(rows, next.id, { actualStart: now.toISOString(), actualEnd: null });
+  return { ...meeting, currentRowId: next.id, rows };
+};
+
+// Returns to the previous item, e.g. after advancing by mistake.
+// The item being left never really started, so its actual times are cleared, and the previous item is reopened.
+export const goToPrevious = (meeting) => {
+  const index = currentIndex(meeting);
+  if (index <= 0) return meeting;
+
+  const current = meeting.rows[index];
+  const previous = meeting.rows[index - 1];
+  let rows = updateRow(meeting.rows, current.id, { actualStart: null, actualEnd: null });
+  rows = updateRow(rows, previous.id, { actualEnd: null });
+  return { ...meeting, currentRowId: previous.id, rows };
+};
+
+// Removes all live tracking from a meeting, e.g. when it is duplicated
+export const clearLiveTracking = (meeting) => ({
+  ...meeting,
+  currentRowId: null,
+  currentSpeaker: null,
+  liveStartedAt: null,
+  liveEndedAt: null,
+  rows: meeting.rows.map(({ actualStart, actualEnd, ...row }) => row),
+});
+
+// Seconds elapsed since an ISO timestamp
+export const secondsSince = (isoTime, now = new Date()) =>
+  Math.max(0, Math.floor((now.getTime() - new Date(isoTime).getTime()) / 1000));
+
+// Minutes since midnight (with fractions) of a Date in local time
+export const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+
+// How many minutes the meeting is behind schedule (negative when ahead).
+// This is how late the current item started, plus however long it has run past its slot.
+export const scheduleVariance = (meeting, schedule, now = new Date()) => {
+  const index = currentIndex(meeting);
+  if (index === -1) return 0;
+  const row = meeting.rows[index];
+  const slot = schedule[index];
+  const startedLate = minutesOfDay(new Date(row.actualStart)) - slot.start;
+  const overrun = Math.max(0, secondsSince(row.actualStart, now) / 60 - (slot.end - slot.start));
+  return Math.round(startedLate + overrun);
+};
+
+// Formats a number of seconds as "m:ss", or "h:mm:ss" past an hour
+export const formatElapsed = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
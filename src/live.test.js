@@ -0,0 +1,51 @@
+import { startLive, goToNext, goToPrevious, endLive, isLive, scheduleVariance, formatElapsed } from './live';
+import { computeSchedule } from './schedule';
+
+const at = (hours, minutes) => new Date(2026, 0, 6, hours, minutes);
+
+const meeting = {
+  startTime: '18:00',
+  status: 'scheduled',
+  rows: [
+    { id: 'a', duration: 10 },
+    { id: 'b', duration: 20 },
+  ],
+};
+
+test('next and previous record actual start and end times on rows', () => {
+  let live = startLive(meeting, at(18, 2));
+  expect(live.currentRowId).toBe('a');
+  expect(live.rows[0].actualStart).toBe(at(18, 2).toISOString());
+
+  live = goToNext(live, at(18, 15));
+  expect(live.currentRowId).toBe('b');
+  expect(live.rows[0].actualEnd).toBe(at(18, 15).toISOString());
+  expect(live.rows[1].actualStart).toBe(at(18, 15).toISOString());
+
+  live = goToPrevious(live);
+  expect(live.currentRowId).toBe('a');
+  expect(live.rows[0].actualEnd).toBeNull();
+  expect(live.rows[1].actualStart).toBeNull();
+});
+
+test('advancing past the last item ends the meeting', () => {
+  let live = startLive(meeting, at(18, 0));
+  live = goToNext(live, at(18, 10));
+  live = goToNext(live, at(18, 30));
+  expect(isLive(live)).toBe(false);
+  expect(live.status).toBe('completed');
+  expect(live.rows[1].actualEnd).toBe(at(18, 30).toISOString());
+  expect(endLive(live, at(19, 0)).rows).toEqual(live.rows);
+});
+
+test('scheduleVariance adds a late start to any overrun of the current slot', () => {
+  const schedule = computeSchedule(meeting.rows, meeting.startTime);
+  const live = startLive(meeting, at(18, 5));
+  expect(scheduleVariance(live, schedule, at(18, 8))).toBe(5);
+  expect(scheduleVariance(live, schedule, at(18, 20))).toBe(10);
+});
+
+test('formatElapsed shows minutes and seconds', () => {
+  expect(formatElapsed(65)).toBe('1:05');
+  expect(formatElapsed(3725)).toBe('1:02:05');
+});
@@ -0,0 +1,71 @@
+import { DEFAULT_START_TIME } from './schedule';
+import { clearLiveTracking } from './live';
+import { DEFAULT_FIELDS } from './fields';
+
+// Helpers for working with meeting objects.
+// A meeting holds its own metadata (date, start time, body, location, status), its roster of members,
+// the item fields its agenda uses and its own list of agenda rows.
+
+// Legislative bodies offered in the meeting form
+export const MEETING_BODIES = [
+  'City Council',
+  'Planning Commission',
+  'Parks & Recreation Commission',
+  'Board of Adjustment',
+  'Special Committee',
+];
+
+// Lifecycle states a meeting can be in. 'archived' meetings are hidden from the list by default.
+export const MEETING_STATUSES = ['draft', 'scheduled', 'completed', 'archived'];
+
+// Generates a reasonably unique ID for meetings and rows
+export const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Creates a new meeting, optionally overriding any of the default fields
+export const createMeeting = (overrides = {}) => ({
+  id: generateId(),
+  title: 'Untitled meeting',
+  date: '',
+  startTime: DEFAULT_START_TIME,
+  body: MEETING_BODIES[0],
+  location: '',
+  status: 'draft',
+  roster: [],
+  fields: DEFAULT_FIELDS,
+  rows: [],
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+// Copies a meeting and all of its rows under fresh IDs, resetting it to a draft without any live tracking, motions or speakers
+export const duplicateMeeting = (meeting) => {
+  const source = clearLiveTracking(meeting);
+  return createMeeting({
+    ...source,
+    id: generateId(),
+    title: `Copy of ${meeting.title}`,
+    status: 'draft',
+    // The copy hasn't been posted, so it starts without published versions
+    versions: [],
+    // Motions and public comment speakers belong to the original meeting, so they aren't copied
+    rows: source.rows.map(({ motions, speakers, speakerLog, ...row }) => ({ ...row, id: generateId() })),
+    createdAt: new Date().toISOString(),
+  });
+};
+
+// Builds the label shown for a meeting in the meeting list
+export const meetingLabel = (meeting) => {
+  const parts = [meeting.title];
+  if (meeting.date) parts.push(meeting.date);
+  if (meeting.body) parts.push(meeting.body);
+  return parts.join(' — ');
+};
+
+// Sorts meetings with the most recent date first; undated meetings go last
+export const sortMeetings = (meetings) =>
+  [...meetings].sort((a, b) => {
+    if (a.date === b.date) return (b.createdAt || '').localeCompare(a.createdAt || '');
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return b.date.localeCompare(a.date);
+  });
@@ -0,0 +1,36 @@
+import { createMeeting, duplicateMeeting, sortMeetings } from './meetings';
+import { loadMeetingsState, STORAGE_KEY } from './storage';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('duplicateMeeting copies rows under new ids and resets status', () => {
+  const meeting = createMeeting({
+    title: 'Regular Session',
+    status: 'completed',
+    rows: [{ id: 1, time: '09:00', department: 'Clerk', issue: 'Roll call', presenter: 'J. Smith' }],
+  });
+  const copy = duplicateMeeting(meeting);
+
+  expect(copy.id).not.toBe(meeting.id);
+  expect(copy.title).toBe('Copy of Regular Session');
+  expect(copy.status).toBe('draft');
+  expect(copy.rows[0].id).not.toBe(1);
+  expect(copy.rows[0].issue).toBe('Roll call');
+});
+
+test('sortMeetings puts the latest date first and undated meetings last', () => {
+  const sorted = sortMeetings([
+    createMeeting({ title: 'A', date: '' }),
+    createMeeting({ title: 'B', date: '2026-01-06' }),
+    createMeeting({ title: 'C', date: '2026-02-03' }),
+  ]);
+  expect(sorted.map(m => m.title)).toEqual(['C', 'B', 'A']);
+});
+
+test('loadMeetingsState falls back to the first meeting when the saved selection is missing', () => {
+  const meeting = createMeeting();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ meetings: [meeting], activeMeetingId: 'gone' }));
+  expect(loadMeetingsState().activeMeetingId).toBe(meeting.id);
+});
@@ -0,0 +1,89 @@
+import { generateId } from './meetings';
+import { exportFileName } from './exporters';
+import { loadXLSX } from './xlsx';
+import { itemNumbers } from './sections';
+
+// Motions, roll-call votes and draft minutes.
+// A meeting has a `roster` of members ({ id, name, title }). Each agenda row may carry `motions`:
+// { id, text, mover, seconder, votes, outcome }, where mover/seconder are member ids, `votes` maps
+// member id to one of VOTE_CHOICES, and an empty `outcome` means "work it out from the votes".
+
+// Ways a member can be recorded on a roll call
+export const VOTE_CHOICES = ['aye', 'nay', 'abstain', 'absent'];
+
+// Headings for each vote choice in the minutes
+export const VOTE_LABELS = { aye: 'Ayes', nay: 'Nays', abstain: 'Abstaining', absent: 'Absent' };
+
+// Outcomes the clerk can record; '' leaves it to the vote count
+export const MOTION_OUTCOMES = ['', 'passed', 'failed', 'withdrawn', 'tabled'];
+
+// Creates a roster member
+export const createMember = (name, title = '') => ({ id: generateId(), name, title });
+
+// Creates a motion with every member on the roster voting aye, since clerks usually record the exceptions
+export const createMotion = (roster) => ({
+  id: generateId(),
+  text: '',
+  mover: '',
+  seconder: '',
+  votes: roster.reduce((votes, member) => ({ ...votes, [member.id]: 'aye' }), {}),
+  outcome: '',
+});
+
+// Counts the votes on a motion by choice, listing the member names for each.
+// Members added to the roster after the vote was taken are left out.
+export const tallyVotes = (motion, roster) =>
+  VOTE_CHOICES.reduce((tally, choice) => ({
+    ...tally,
+    [choice]: roster.filter(member => motion.votes[member.id] === choice).map(member => member.name),
+  }), {});
+
+// Returns the motion's outcome: the recorded one, or 'passed'/'failed' by simple majority of those voting
+export const motionOutcome = (motion, roster) => {
+  if (motion.outcome) return motion.outcome;
+  const tally = tallyVotes(motion, roster);
+  return tally.aye.length > tally.nay.length ? 'passed' : 'failed';
+};
+
+// Looks up a member's name by id, or returns an empty string
+export const memberName = (roster, id) => {
+  const member = roster.find(m => m.id === id);
+  return member ? member.name : '';
+};
+
+// Builds one line per motion for the spreadsheet version of the minutes, with items numbered as on the agenda
+export const minutesToSheetData = (meeting) => {
+  const roster = meeting.roster || [];
+  const numbers = itemNumbers(meeting.rows);
+  const header = ['Item', 'Time', 'Issue', 'Motion', 'Mover', 'Seconder', 'Ayes', 'Nays', 'Abstain', 'Absent', 'Outcome'];
+  const lines = [];
+  meeting.rows.forEach(row => {
+    (row.motions || []).forEach(motion => {
+      const tally = tallyVotes(motion, roster);
+      lines.push([
+        numbers[row.id],
+        row.time,
+        row.issue,
+        motion.text,
+        memberName(roster, motion.mover),
+        memberName(roster, motion.seconder),
+        tally.aye.join(', '),
+        tally.nay.join(', '),
+        tally.abstain.join(', '),
+        tally.absent.join(', '),
+        motionOutcome(motion, roster),
+      ]);
+    });
+  });
+  return [header, ...lines];
+};
+
+// Downloads the motions and votes of the meeting as an .xlsx workbook, with the roster on a second sheet
+export const exportMinutesToXlsx = async (meeting) => {
+  const XLSX = await loadXLSX();
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(minutesToSheetData(meeting)), 'Motions');
+  const rosterData = [['Name', 'Title'], ...(meeting.roster || []).map(member => [member.name, member.title])];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rosterData), 'Roster');
+  XLSX.writeFile(workbook, exportFileName({ ...meeting, title: `${meeting.title} minutes` }, 'xlsx'));
+};
@@ -0,0 +1,38 @@
+import { createMember, createMotion, tallyVotes, motionOutcome, minutesToSheetData } from './minutes';
+
+const roster = [createMember('Ada Park', 'Mayor'), createMember('Ben Ortiz'), createMember('Cy Lee')];
+
+test('createMotion starts everyone on aye and the vote decides the outcome', () => {
+  const motion = createMotion(roster);
+  expect(tallyVotes(motion, roster).aye).toEqual(['Ada Park', 'Ben Ortiz', 'Cy Lee']);
+  expect(motionOutcome(motion, roster)).toBe('passed');
+
+  const failing = { ...motion, votes: { ...motion.votes, [roster[0].id]: 'nay', [roster[1].id]: 'nay' } };
+  expect(tallyVotes(failing, roster).nay).toEqual(['Ada Park', 'Ben Ortiz']);
+  expect(motionOutcome(failing, roster)).toBe('failed');
+  expect(motionOutcome({ ...failing, outcome: 'withdrawn' }, roster)).toBe('withdrawn');
+});
+
+test('minutesToSheetData lists one line per motion, numbered as on the agenda', () => {
+  const motion = {
+    ...createMotion(roster),
+    text: 'Approve the consent calendar',
+    mover: roster[1].id,
+    seconder: roster[2].id,
+  };
+  motion.votes[roster[2].id] = 'abstain';
+  const meeting = {
+    roster,
+    rows: [
+      { id: 1, time: '18:00', issue: 'Roll call' },
+      { id: 2, time: '18:05', section: 'Consent Calendar', issue: 'Minutes of Jan 6' },
+      { id: 3, time: '18:10', section: 'Consent Calendar', issue: 'Consent calendar', motions: [motion] },
+    ],
+  };
+  const [header, line] = minutesToSheetData(meeting);
+  expect(header[0]).toBe('Item');
+  expect(line).toEqual([
+    '2.b', '18:10', 'Consent calendar', 'Approve the consent calendar', 'Ben Ortiz', 'Cy Lee',
+    'Ada Park, Ben Ortiz', '', 'Cy Lee', '', 'passed',
+  ]);
+});
@@ -0,0 +1,46 @@
+// Hash-based routes. Hashes are used instead of paths because GitHub Pages can't rewrite
+// unknown paths back to index.html.
+
+// Hashes of the secondary views, each opened in its own window
+export const ROUTES = {
+  display: '#/display', // Read-only chamber display
+  minutes: '#/minutes', // Printable draft minutes
+  agenda: '#/agenda', // Printable official agenda
+  notice: '#/notice', // Printable notice of changes between two agenda versions
+};
+
+// Returns the name of the route for the current page, or 'app' for the main editor
+export const currentRoute = () => {
+  const match = Object.entries(ROUTES).find(([, hash]) => window.location.hash.startsWith(hash));
+  return match ? match[0] : 'app';
+};
+
+// Opens a route in its own named window, reusing that window if it is already open.
+// `params` are added to the hash as a query string.
+const openRouteWindow = (route, features, params) => {
+  const query = params ? `?${new URLSearchParams(params)}` : '';
+  const url = `${window.location.pathname}${window.location.search}${ROUTES[route]}${query}`;
+  window.open(url, `council-agenda-${route}`, features);
+};
+
+// Opens the chamber display in its own window, so it can be dragged to the projector monitor
+export const openDisplayWindow = () => openRouteWindow('display', 'popup,width=1280,height=720');
+
+// Opens the draft minutes of the active meeting, ready to print or save as PDF
+export const openMinutesWindow = () => openRouteWindow('minutes');
+
+// Opens the official agenda of the active meeting, ready to print or save as PDF
+export const openAgendaWindow = () => openRouteWindow('agenda');
+
+// Opens the change notice between two versions of the active meeting's agenda, ready to print.
+// `from` and `to` are version numbers, or DRAFT_VERSION for the unpublished agenda.
+export const openChangeNoticeWindow = (from, to) => openRouteWindow('notice', undefined, { from, to });
+
+// Reads the query parameters of the editor's hash, e.g. "#/?department=Public+Works"
+export const hashParams = () => new URLSearchParams(window.location.hash.split('?')[1] || '');
+
+// Replaces the query parameters of the editor's hash without adding an entry to the browser history
+export const replaceHashParams = (params) => {
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${query ? `#/?${query}` : ''}`);
+};
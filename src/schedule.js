@@ -0,0 +1,91 @@
+import { parseTime, formatTime, sortRowsByTime } from './time';
+
+// Running schedule for a meeting.
+// Row order is authoritative: each item starts when the previous one ends, beginning at the meeting's
+// start time. Items with `pinned: true` keep their own `time` (e.g. a legally noticed public hearing),
+// and the schedule leaves a gap before them or reports an overrun when earlier items run past them.
+
+// Duration in minutes given to items that don't specify one
+export const DEFAULT_DURATION = 10;
+
+// Start time given to new meetings
+export const DEFAULT_START_TIME = '18:00';
+
+// Parses a duration in whole minutes, or returns null if it isn't a non-negative number
+export const parseDuration = (input) => {
+  if (input === '' || input === null || input === undefined) return null;
+  const minutes = Number(input);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : null;
+};
+
+// Returns the duration of a row, falling back to the default for rows without a valid one
+export const rowDuration = (row) => {
+  const minutes = parseDuration(row.duration);
+  return minutes === null ? DEFAULT_DURATION : minutes;
+};
+
+// Works out when every row starts and ends.
+// Returns one entry per row: { id, start, end, gap }, where start/end are minutes since midnight and
+// `gap` is the slack before a pinned item (positive for idle time, negative for an overrun).
+export const computeSchedule = (rows, startTime) => {
+  let cursor = parseTime(startTime);
+  if (cursor === null) cursor = parseTime(DEFAULT_START_TIME);
+
+  return rows.map(row => {
+    const pinnedStart = row.pinned ? parseTime(row.time) : null;
+    const start = pinnedStart === null ? cursor : pinnedStart;
+    const gap = pinnedStart === null ? 0 : pinnedStart - cursor;
+    const end = start + rowDuration(row);
+    cursor = end;
+    return { id: row.id, start, end, gap };
+  });
+};
+
+// Returns the rows with the `time` of every unpinned row set from the running schedule
+export const applySchedule = (rows, startTime) => {
+  const schedule = computeSchedule(rows, startTime);
+  return rows.map((row, index) => {
+    if (row.pinned && parseTime(row.time) !== null) return row;
+    return { ...row, pinned: false, time: formatTime(schedule[index].start, '24h') };
+  });
+};
+
+// Returns the meeting with its row times recomputed
+export const withSchedule = (meeting) => ({
+  ...meeting,
+  rows: applySchedule(meeting.rows, meeting.startTime),
+});
+
+// Gives each row without a duration the time until the next row starts, so rows that only carry
+// start times (older saved data, spreadsheet imports) keep those times once they are scheduled.
+// The last row, and rows whose next time can't be used, get the default duration.
+export const inferDurations = (rows) =>
+  rows.map((row, index) => {
+    if (parseDuration(row.duration) !== null) return { ...row, duration: parseDuration(row.duration) };
+    const start = parseTime(row.time);
+    const next = index + 1 < rows.length ? parseTime(rows[index + 1].time) : null;
+    const duration = start !== null && next !== null && next >= start ? next - start : DEFAULT_DURATION;
+    return { ...row, duration };
+  });
+
+// Converts a meeting saved before durations existed: rows are put in time order, given durations
+// that preserve their existing start times, and the meeting starts at the earliest item.
+export const migrateMeetingSchedule = (meeting) => {
+  if (meeting.startTime !== undefined) return meeting;
+  const rows = inferDurations(sortRowsByTime(meeting.rows));
+  const firstTime = rows.length > 0 ? parseTime(rows[0].time) : null;
+  return withSchedule({
+    ...meeting,
+    startTime: firstTime === null ? DEFAULT_START_TIME : formatTime(firstTime, '24h'),
+    rows,
+  });
+};
+
+// Returns a copy of the rows with the row at `fromIndex` moved to `toIndex`
+export const moveRow = (rows, fromIndex, toIndex) => {
+  if (fromIndex === toIndex || toIndex < 0 || toIndex >= rows.length) return rows;
+  const next = [...rows];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
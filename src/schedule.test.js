@@ -0,0 +1,40 @@
+import { computeSchedule, applySchedule, inferDurations, migrateMeetingSchedule, moveRow } from './schedule';
+
+const rows = [
+  { id: 'a', duration: 15 },
+  { id: 'b', duration: 30 },
+  { id: 'c', duration: 20, pinned: true, time: '18:30' },
+  { id: 'd', duration: 10 },
+];
+
+test('computeSchedule flows items around pinned times and reports gaps and overruns', () => {
+  expect(computeSchedule(rows, '18:00')).toEqual([
+    { id: 'a', start: 1080, end: 1095, gap: 0 },
+    { id: 'b', start: 1095, end: 1125, gap: 0 },
+    { id: 'c', start: 1110, end: 1130, gap: -15 },
+    { id: 'd', start: 1130, end: 1140, gap: 0 },
+  ]);
+  expect(computeSchedule(rows, '17:30')[2].gap).toBe(15);
+});
+
+test('applySchedule sets times on unpinned rows only', () => {
+  expect(applySchedule(rows, '18:00').map(r => r.time)).toEqual(['18:00', '18:15', '18:30', '18:50']);
+});
+
+test('inferDurations keeps existing start times', () => {
+  const inferred = inferDurations([{ id: 1, time: '09:00' }, { id: 2, time: '09:20' }, { id: 3, time: '10:00' }]);
+  expect(inferred.map(r => r.duration)).toEqual([20, 40, 10]);
+});
+
+test('migrateMeetingSchedule converts a legacy meeting without changing its times', () => {
+  const meeting = migrateMeetingSchedule({
+    rows: [{ id: 2, time: '10:15' }, { id: 1, time: '09:30' }],
+  });
+  expect(meeting.startTime).toBe('09:30');
+  expect(meeting.rows.map(r => [r.id, r.time])).toEqual([[1, '09:30'], [2, '10:15']]);
+});
+
+test('moveRow moves a row and ignores out-of-range targets', () => {
+  expect(moveRow(rows, 3, 0).map(r => r.id)).toEqual(['d', 'a', 'b', 'c']);
+  expect(moveRow(rows, 0, -1)).toBe(rows);
+});
@@ -0,0 +1,65 @@
+// Agenda sections and item numbering.
+// Rows carry an optional `section` name. Consecutive rows in the same section form a group; sections are
+// numbered 1, 2, 3... and their items lettered (4.a, 4.b). Rows outside any section are numbered as
+// top-level items in the same sequence.
+
+// Sections offered when adding or editing items
+export const DEFAULT_SECTIONS = [
+  'Call to Order',
+  'Consent Calendar',
+  'Public Hearings',
+  'New Business',
+  'Adjournment',
+];
+
+// Turns a zero-based index into a letter suffix: 0 -> "a", 25 -> "z", 26 -> "aa"
+export const itemLetter = (index) => {
+  let letters = '';
+  let n = index;
+  do {
+    letters = String.fromCharCode(97 + (n % 26)) + letters;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return letters;
+};
+
+// Groups rows by section in agenda order and numbers them.
+// Returns [{ section, number, items: [{ row, index, number }] }], where `index` is the row's position in
+// the agenda and `section` is '' for rows outside any section.
+export const groupRowsBySection = (rows) => {
+  const groups = [];
+  let sectionNumber = 0;
+
+  rows.forEach((row, index) => {
+    const section = (row.section || '').trim();
+    const last = groups[groups.length - 1];
+
+    if (section && last && last.section === section) {
+      last.items.push({ row, index, number: `${last.number}.${itemLetter(last.items.length)}` });
+      return;
+    }
+
+    sectionNumber += 1;
+    if (section) {
+      groups.push({ section, number: String(sectionNumber), items: [{ row, index, number: `${sectionNumber}.a` }] });
+    } else {
+      groups.push({ section: '', number: String(sectionNumber), items: [{ row, index, number: String(sectionNumber) }] });
+    }
+  });
+
+  return groups;
+};
+
+// Returns the item number of every row, keyed by row id
+export const itemNumbers = (rows) =>
+  groupRowsBySection(rows).reduce((numbers, group) => {
+    group.items.forEach(item => { numbers[item.row.id] = item.number; });
+    return numbers;
+  }, {});
+
+// Returns the section group that starts at each row, keyed by row id, for drawing section headers in a flat list
+export const sectionStarts = (rows) =>
+  groupRowsBySection(rows).reduce((starts, group) => {
+    if (group.section) starts[group.items[0].row.id] = group;
+    return starts;
+  }, {});
@@ -0,0 +1,27 @@
+import { groupRowsBySection, itemNumbers, itemLetter, sectionStarts } from './sections';
+
+test('itemLetter continues past z', () => {
+  expect([0, 25, 26, 27].map(itemLetter)).toEqual(['a', 'z', 'aa', 'ab']);
+});
+
+test('groupRowsBySection numbers sections and letters their items', () => {
+  const rows = [
+    { id: 1, section: 'Call to Order' },
+    { id: 2, section: 'Consent Calendar' },
+    { id: 3, section: 'Consent Calendar' },
+    { id: 4 },
+    { id: 5, section: 'Adjournment' },
+  ];
+  const groups = groupRowsBySection(rows);
+  expect(groups.map(g => [g.number, g.section])).toEqual([
+    ['1', 'Call to Order'], ['2', 'Consent Calendar'], ['3', ''], ['4', 'Adjournment'],
+  ]);
+  expect(itemNumbers(rows)).toEqual({ 1: '1.a', 2: '2.a', 3: '2.b', 4: '3', 5: '4.a' });
+});
+
+test('sectionStarts marks the first row of each named section', () => {
+  const rows = [{ id: 1 }, { id: 2, section: 'Consent Calendar' }, { id: 3, section: 'Consent Calendar' }];
+  const starts = sectionStarts(rows);
+  expect(Object.keys(starts)).toEqual(['2']);
+  expect(starts[2]).toMatchObject({ number: '2', section: 'Consent Calendar' });
+});
@@ -0,0 +1,24 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+
+// Service worker that lets the app install and run offline.
+// The build step replaces self.__WB_MANIFEST with every file of the build, including the lazily loaded
+// spreadsheet chunk and the stylesheet Tailwind builds, so all of them are cached when the worker installs.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Answer page loads with the cached index.html. Views are picked by the hash, so every page is the same shell.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Switch to a newly deployed version when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
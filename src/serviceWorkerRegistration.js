@@ -0,0 +1,63 @@
+// Registers the service worker in production builds and reports when a newly deployed version is waiting,
+// so the app can offer to reload into it instead of silently running the old one until every tab is closed.
+
+// The installed worker of a new version, once one is waiting to take over
+let waitingWorker = null;
+
+// Callbacks to run when a new version is waiting
+const updateListeners = new Set();
+
+// Records the waiting worker and tells the listeners
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  updateListeners.forEach(listener => listener());
+};
+
+// Registers the service worker once the page has loaded, so it doesn't compete with the app's first render
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // The worker can only control pages on its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => {
+        // A worker installed on an earlier visit may already be waiting
+        if (registration.waiting && navigator.serviceWorker.controller) setWaitingWorker(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) setWaitingWorker(installing);
+          });
+        });
+
+        // Meetings keep the editor open for hours, so check for a new deployment whenever the tab is shown again
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') registration.update();
+        });
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+// Calls `callback` when a new version is waiting, right away if one already is.
+// Returns a function that stops listening.
+export const subscribeToUpdates = (callback) => {
+  updateListeners.add(callback);
+  if (waitingWorker) callback();
+  return () => updateListeners.delete(callback);
+};
+
+// Activates the waiting version and reloads the page into it
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,135 @@
+import { generateId } from './meetings';
+import { moveRow } from './schedule';
+import { secondsSince } from './live';
+import { readWorkbook, sheetToTable } from './importer';
+
+// Public comment on agenda items.
+// Each row keeps the people signed up to speak on it, in speaking order, as `speakers`, and the people who
+// actually spoke as `speakerLog`, with when they started and finished. While someone is speaking the meeting's
+// `currentSpeaker` holds { rowId, speakerId, startedAt }, and a countdown of `speakerMinutes` runs for them.
+
+// Positions a speaker can take on the item, with their labels
+export const SPEAKER_POSITIONS = { for: 'For', against: 'Against', neutral: 'Neutral' };
+
+// Speaking time per person used until the meeting sets its own, in minutes
+export const DEFAULT_SPEAKER_MINUTES = 3;
+
+// Seconds left on the countdown when it turns to a warning
+export const WARNING_SECONDS = 30;
+
+// Creates a speaker for the sign-up list
+export const createSpeaker = ({ name, position = 'neutral', topic = '' }) => ({ id: generateId(), name, position, topic });
+
+// Words on sign-up sheets that mean each position, e.g. "Support" or "Oppose"
+const POSITION_WORDS = {
+  for: ['for', 'support', 'supports', 'in favor', 'in favour', 'pro', 'yes'],
+  against: ['against', 'oppose', 'opposes', 'opposed', 'con', 'no'],
+};
+
+// Turns a position written on a sign-up sheet into a key of SPEAKER_POSITIONS, neutral if unrecognized
+export const normalizePosition = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  const match = Object.entries(POSITION_WORDS).find(([, words]) => words.includes(text));
+  return match ? match[0] : 'neutral';
+};
+
+// Returns the speakers still waiting on a row, in speaking order
+export const rowSpeakers = (row) => row.speakers || [];
+
+// Returns the speakers who have spoken on a row, in the order they spoke
+export const speakerLog = (row) => row.speakerLog || [];
+
+// Returns the speaking time per person for a meeting, in minutes
+export const speakerMinutes = (meeting) => meeting.speakerMinutes ?? DEFAULT_SPEAKER_MINUTES;
+
+// Moves a waiting speaker up or down the list
+export const moveSpeaker = (speakers, fromIndex, toIndex) => moveRow(speakers, fromIndex, toIndex);
+
+// Sets fields on a single row of the meeting
+const updateRow = (meeting, id, update) => ({
+  ...meeting,
+  rows: meeting.rows.map(row => (row.id === id ? update(row) : row)),
+});
+
+// Closes the current speaker's turn, moving them from the row's waiting list to its log
+export const finishSpeaker = (meeting, now = new Date()) => {
+  const current = meeting.currentSpeaker;
+  if (!current) return meeting;
+  const finished = updateRow(meeting, current.rowId, row => {
+    const speaker = rowSpeakers(row).find(s => s.id === current.speakerId);
+    if (!speaker) return row;
+    return {
+      ...row,
+      speakers: rowSpeakers(row).filter(s => s.id !== speaker.id),
+      speakerLog: [...speakerLog(row), { ...speaker, startedAt: current.startedAt, endedAt: now.toISOString() }],
+    };
+  });
+  return { ...finished, currentSpeaker: null };
+};
+
+// Starts a speaker's turn and countdown, first finishing whoever was speaking
+export const startSpeaker = (meeting, rowId, speakerId, now = new Date()) => ({
+  ...finishSpeaker(meeting, now),
+  currentSpeaker: { rowId, speakerId, startedAt: now.toISOString() },
+});
+
+// Stops the countdown without logging the turn, leaving the speaker in the waiting list, e.g. after starting by mistake
+export const cancelSpeaker = (meeting) => ({ ...meeting, currentSpeaker: null });
+
+// Returns the current speaker as { row, speaker, startedAt }, or null if nobody is speaking
+export const currentSpeaker = (meeting) => {
+  const current = meeting && meeting.currentSpeaker;
+  if (!current) return null;
+  const row = meeting.rows.find(r => r.id === current.rowId);
+  const speaker = row && rowSpeakers(row).find(s => s.id === current.speakerId);
+  return speaker ? { row, speaker, startedAt: current.startedAt } : null;
+};
+
+// Seconds left on the current speaker's countdown; negative once they've run over
+export const remainingSeconds = (meeting, now = new Date()) =>
+  speakerMinutes(meeting) * 60 - secondsSince(meeting.currentSpeaker.startedAt, now);
+
+// State of a countdown with the given seconds left: 'running', 'warning' near the end, or 'expired'
+export const timerState = (seconds) => {
+  if (seconds <= 0) return 'expired';
+  return seconds <= WARNING_SECONDS ? 'warning' : 'running';
+};
+
+// Formats seconds left on a countdown as "m:ss", with a minus sign once it has run over
+export const formatCountdown = (seconds) => {
+  const abs = Math.abs(seconds);
+  return `${seconds < 0 ? '−' : ''}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Header names recognized on sign-up sheets for each speaker field, lower case
+const SPEAKER_COLUMNS = {
+  name: ['name', 'speaker', 'full name', 'speaker name'],
+  position: ['position', 'stance', 'for/against', 'support/oppose'],
+  topic: ['topic', 'subject', 'comment', 'comments'],
+};
+
+// Builds speakers from a sign-up sheet table ({ headers, rows }), matching columns by their headers.
+// Rows without a name are skipped. Throws an Error if no column looks like the speaker's name.
+export const speakersFromTable = (table) => {
+  const headers = table.headers.map(header => String(header ?? '').trim().toLowerCase());
+  const columns = Object.entries(SPEAKER_COLUMNS).reduce((found, [key, names]) => ({
+    ...found,
+    [key]: headers.findIndex(header => names.includes(header)),
+  }), {});
+  if (columns.name === -1) throw new Error('The sign-up sheet needs a "Name" column.');
+
+  const cell = (values, key) => (columns[key] === -1 ? '' : String(values[columns[key]] ?? '').trim());
+  return table.rows
+    .filter(values => cell(values, 'name'))
+    .map(values => createSpeaker({
+      name: cell(values, 'name'),
+      position: normalizePosition(cell(values, 'position')),
+      topic: cell(values, 'topic'),
+    }));
+};
+
+// Reads the speakers from the first sheet of a sign-up spreadsheet, through the same reader as agenda imports
+export const readSpeakerSheet = async (arrayBuffer) => {
+  const workbook = await readWorkbook(arrayBuffer);
+  return speakersFromTable(sheetToTable(workbook, workbook.sheetNames[0]));
+};
@@ -0,0 +1,93 @@
+import {
+  normalizePosition,
+  speakersFromTable,
+  moveSpeaker,
+  startSpeaker,
+  finishSpeaker,
+  cancelSpeaker,
+  currentSpeaker,
+  remainingSeconds,
+  timerState,
+  formatCountdown,
+} from './speakers';
+
+const at = (hours, minutes, seconds = 0) => new Date(2026, 0, 6, hours, minutes, seconds);
+
+const meeting = {
+  speakerMinutes: 2,
+  currentSpeaker: null,
+  rows: [
+    {
+      id: 'a',
+      speakers: [
+        { id: 's1', name: 'Ana Ruiz', position: 'for', topic: 'Parking' },
+        { id: 's2', name: 'Li Wei', position: 'against', topic: '' },
+      ],
+    },
+    { id: 'b' },
+  ],
+};
+
+test('reads positions written in several ways', () => {
+  expect(normalizePosition('Support')).toBe('for');
+  expect(normalizePosition(' OPPOSED ')).toBe('against');
+  expect(normalizePosition('undecided')).toBe('neutral');
+  expect(normalizePosition(undefined)).toBe('neutral');
+});
+
+test('builds speakers from a sign-up sheet, skipping rows without a name', () => {
+  const speakers = speakersFromTable({
+    headers: ['Timestamp', 'Full Name', 'Stance', 'Comments'],
+    rows: [
+      ['9:00', 'Ana Ruiz', 'In favor', 'Parking'],
+      ['9:05', '  ', 'Oppose', 'Noise'],
+      ['9:10', 'Li Wei', '', undefined],
+    ],
+  });
+  expect(speakers.map(({ id, ...speaker }) => speaker)).toEqual([
+    { name: 'Ana Ruiz', position: 'for', topic: 'Parking' },
+    { name: 'Li Wei', position: 'neutral', topic: '' },
+  ]);
+  expect(new Set(speakers.map(speaker => speaker.id)).size).toBe(2);
+});
+
+test('rejects a sign-up sheet without a name column', () => {
+  expect(() => speakersFromTable({ headers: ['Email', 'Topic'], rows: [] })).toThrow('"Name" column');
+});
+
+test('moves speakers up and down the list', () => {
+  expect(moveSpeaker(meeting.rows[0].speakers, 1, 0).map(speaker => speaker.id)).toEqual(['s2', 's1']);
+});
+
+test('starting the next speaker logs the one before with their speaking times', () => {
+  let live = startSpeaker(meeting, 'a', 's1', at(18, 0));
+  expect(currentSpeaker(live).speaker.name).toBe('Ana Ruiz');
+
+  live = startSpeaker(live, 'a', 's2', at(18, 2, 30));
+  expect(live.rows[0].speakers.map(speaker => speaker.id)).toEqual(['s2']);
+  expect(live.rows[0].speakerLog).toEqual([
+    { ...meeting.rows[0].speakers[0], startedAt: at(18, 0).toISOString(), endedAt: at(18, 2, 30).toISOString() },
+  ]);
+
+  live = finishSpeaker(live, at(18, 4));
+  expect(currentSpeaker(live)).toBeNull();
+  expect(live.rows[0].speakers).toEqual([]);
+  expect(live.rows[0].speakerLog.map(entry => entry.name)).toEqual(['Ana Ruiz', 'Li Wei']);
+});
+
+test('cancelling a turn keeps the speaker waiting and logs nothing', () => {
+  const cancelled = cancelSpeaker(startSpeaker(meeting, 'a', 's1', at(18, 0)));
+  expect(currentSpeaker(cancelled)).toBeNull();
+  expect(cancelled.rows[0]).toEqual(meeting.rows[0]);
+  expect(finishSpeaker(cancelled)).toBe(cancelled);
+});
+
+test('the countdown warns near the end and runs over once time is up', () => {
+  const live = startSpeaker(meeting, 'a', 's1', at(18, 0));
+  expect(remainingSeconds(live, at(18, 1))).toBe(60);
+  expect(timerState(remainingSeconds(live, at(18, 1)))).toBe('running');
+  expect(timerState(remainingSeconds(live, at(18, 1, 30)))).toBe('warning');
+  expect(timerState(remainingSeconds(live, at(18, 2)))).toBe('expired');
+  expect(formatCountdown(remainingSeconds(live, at(18, 0, 55)))).toBe('1:05');
+  expect(formatCountdown(remainingSeconds(live, at(18, 2, 7)))).toBe('−0:07');
+});
@@ -0,0 +1,274 @@
+import { createMeeting } from './meetings';
+import { migrateMeetingSchedule } from './schedule';
+import { EMPTY_HISTORY } from './history';
+import { EMPTY_DIRECTORY } from './directory';
+import { DEFAULT_FIELDS } from './fields';
+
+// localStorage key holding every meeting and the currently selected one
+export const STORAGE_KEY = 'councilAgendaMeetings';
+
+// Version of the shape saved under STORAGE_KEY: { schemaVersion, revision, meetings, activeMeetingId }.
+// Bump it and add a migration below whenever that shape changes.
+export const SCHEMA_VERSION = 2;
+
+// Migrations from each schema version to the next.
+// Version 1 had no version number or revision, and meetings saved before item fields were configurable.
+const MIGRATIONS = {
+  1: (state) => ({
+    ...state,
+    revision: state.revision || 0,
+    meetings: state.meetings.map(meeting => ({ fields: DEFAULT_FIELDS, ...meeting })),
+  }),
+};
+
+// Brings saved data up to the current schema version
+export const migrateStoredState = (stored) => {
+  let state = stored;
+  for (let version = stored.schemaVersion || 1; version < SCHEMA_VERSION; version += 1) {
+    state = MIGRATIONS[version](state);
+  }
+  return { ...state, schemaVersion: Math.max(SCHEMA_VERSION, stored.schemaVersion || 1) };
+};
+
+// Reads and migrates the saved meetings data, or returns null if there is none
+const readStoredState = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? migrateStoredState(JSON.parse(saved)) : null;
+};
+
+// Key used by older versions of the app, which stored a single array of rows
+export const LEGACY_STORAGE_KEY = 'dynamicTableData';
+
+// Reads the rows saved by the single-table version of the app, if any
+const loadLegacyRows = () => {
+  try {
+    const savedData = localStorage.getItem(LEGACY_STORAGE_KEY);
+    const rows = savedData ? JSON.parse(savedData) : [];
+    return Array.isArray(rows) ? rows : [];
+  } catch (error) {
+    console.error("Failed to parse legacy data from localStorage:", error);
+    return [];
+  }
+};
+
+// Loads the saved meetings state.
+// If nothing has been saved in the new format yet, any legacy rows are migrated into an "Untitled meeting".
+// The legacy key is left untouched so an older build can still read it.
+export const loadMeetingsState = () => {
+  try {
+    const parsed = readStoredState();
+    if (parsed) {
+      if (Array.isArray(parsed.meetings) && parsed.meetings.length > 0) {
+        const activeMeetingId = parsed.meetings.some(m => m.id === parsed.activeMeetingId)
+          ? parsed.activeMeetingId
+          : parsed.meetings[0].id;
+        return { meetings: parsed.meetings.map(migrateMeetingSchedule), activeMeetingId };
+      }
+    }
+  } catch (error) {
+    console.error("Failed to parse meetings from localStorage:", error);
+  }
+
+  // Legacy rows only have start times, so let the schedule migration derive the start time and durations
+  const firstMeeting = migrateMeetingSchedule(createMeeting({ rows: loadLegacyRows(), startTime: undefined }));
+  return { meetings: [firstMeeting], activeMeetingId: firstMeeting.id };
+};
+
+// Returns the revision of the saved meetings data; every save increments it
+export const loadRevision = () => {
+  try {
+    const parsed = readStoredState();
+    return parsed ? parsed.revision : 0;
+  } catch (error) {
+    console.error("Failed to parse meetings from localStorage:", error);
+    return 0;
+  }
+};
+
+// Saves the meetings state to localStorage as the next revision.
+// When `expectedRevision` is given the save only goes ahead if the stored data is still at that revision,
+// so changes saved meanwhile by another tab aren't overwritten.
+// Returns { saved, revision }, where revision is the stored revision after the attempt. If localStorage
+// can't take the data, e.g. because it's full, the result also has an `error` to show the user.
+export const saveMeetingsState = (state, expectedRevision) => {
+  const revision = loadRevision();
+  if (expectedRevision !== undefined && revision !== expectedRevision) return { saved: false, revision };
+  try {
+    const { meetings, activeMeetingId } = state;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      revision: revision + 1,
+      meetings,
+      activeMeetingId,
+    }));
+    return { saved: true, revision: revision + 1 };
+  } catch (error) {
+    console.error("Failed to save meetings to localStorage:", error);
+    const message = error.name === 'QuotaExceededError'
+      ? "This browser's storage is full. Delete old meetings, or choose IndexedDB under Storage for more room."
+      : error.message;
+    return { saved: false, revision, error: new Error(message) };
+  }
+};
+
+// localStorage key holding user display preferences
+export const PREFERENCES_KEY = 'councilAgendaPreferences';
+
+// Defaults for every preference, used for anything that hasn't been saved yet.
+// `agenda` holds the jurisdiction name and the statements printed on the official agenda.
+// `storage` picks where meetings are kept: `backend` is a key of STORAGE_BACKENDS in backends.js,
+// and `url` is the REST server's address for the 'rest' backend.
+export const DEFAULT_PREFERENCES = {
+  timeFormat: '12h',
+  storage: { backend: 'local', url: '' },
+  agenda: {
+    jurisdiction: '',
+    noticeText: 'This agenda was posted in accordance with the open meetings law at least 72 hours before the meeting. '
+      + 'Members of the public may address the body on any item on this agenda when that item is called.',
+    accessibilityText: 'In compliance with the Americans with Disabilities Act, persons who need special assistance '
+      + 'to participate in this meeting should contact the City Clerk at least 48 hours before the meeting.',
+  },
+};
+
+// Loads the saved display preferences merged over the defaults
+export const loadPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...saved,
+      agenda: { ...DEFAULT_PREFERENCES.agenda, ...saved.agenda },
+      storage: { ...DEFAULT_PREFERENCES.storage, ...saved.storage },
+    };
+  } catch (error) {
+    console.error("Failed to parse preferences from localStorage:", error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+// Saves the display preferences to localStorage
+export const savePreferences = (preferences) => {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error("Failed to save preferences to localStorage:", error);
+  }
+};
+
+// Calls `callback` with the freshly loaded meetings state and its revision whenever another window saves it.
+// The browser only fires storage events in other windows, so this never echoes this window's own saves.
+// Returns a function that stops listening.
+export const subscribeToMeetingsState = (callback) => {
+  const handleStorage = (e) => {
+    if (e.key === STORAGE_KEY || e.key === null) callback(loadMeetingsState(), loadRevision());
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
+
+// localStorage key holding saved import column mappings, e.g. one per department's spreadsheet template
+export const IMPORT_MAPPINGS_KEY = 'councilAgendaImportMappings';
+
+// Loads the saved import mappings as an object of template name to { field key: header name }
+export const loadImportMappings = () => {
+  try {
+    const saved = localStorage.getItem(IMPORT_MAPPINGS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error("Failed to parse import mappings from localStorage:", error);
+    return {};
+  }
+};
+
+// Saves the import mappings to localStorage
+export const saveImportMappings = (mappings) => {
+  try {
+    localStorage.setItem(IMPORT_MAPPINGS_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.error("Failed to save import mappings to localStorage:", error);
+  }
+};
+
+// localStorage key holding the saved meeting templates
+export const TEMPLATES_KEY = 'councilAgendaTemplates';
+
+// Loads the saved meeting templates
+export const loadTemplates = () => {
+  try {
+    const saved = localStorage.getItem(TEMPLATES_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error("Failed to parse templates from localStorage:", error);
+    return [];
+  }
+};
+
+// Saves the meeting templates to localStorage
+export const saveTemplates = (templates) => {
+  try {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  } catch (error) {
+    console.error("Failed to save templates to localStorage:", error);
+  }
+};
+
+// localStorage key holding the department and presenter directory
+export const DIRECTORY_KEY = 'councilAgendaDirectory';
+
+// Loads the department and presenter directory
+export const loadDirectory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DIRECTORY_KEY) || '{}');
+    return { ...EMPTY_DIRECTORY, ...saved };
+  } catch (error) {
+    console.error("Failed to parse the directory from localStorage:", error);
+    return { ...EMPTY_DIRECTORY };
+  }
+};
+
+// Saves the department and presenter directory to localStorage
+export const saveDirectory = (directory) => {
+  try {
+    localStorage.setItem(DIRECTORY_KEY, JSON.stringify(directory));
+  } catch (error) {
+    console.error("Failed to save the directory to localStorage:", error);
+  }
+};
+
+// sessionStorage key holding the undo/redo history, which lasts for the browser tab's session
+export const HISTORY_KEY = 'councilAgendaHistory';
+
+// Entries saved before row changes were recorded as patches hold whole row arrays, which can't be applied
+const isRowPatchEntry = (entry) => !Array.isArray(entry.before.rows) && !Array.isArray(entry.after.rows);
+
+// Loads the undo/redo history saved earlier in this session
+export const loadHistory = () => {
+  try {
+    const saved = sessionStorage.getItem(HISTORY_KEY);
+    if (!saved) return { ...EMPTY_HISTORY };
+    const history = JSON.parse(saved);
+    return { past: history.past.filter(isRowPatchEntry), future: history.future.filter(isRowPatchEntry) };
+  } catch (error) {
+    console.error("Failed to parse history from sessionStorage:", error);
+    return { ...EMPTY_HISTORY };
+  }
+};
+
+// Saves the undo/redo history to sessionStorage
+export const saveHistory = (history) => {
+  try {
+    sessionStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error("Failed to save history to sessionStorage:", error);
+  }
+};
+
+// Calls `callback` with the freshly loaded preferences whenever another window saves them.
+// Returns a function that stops listening.
+export const subscribeToPreferences = (callback) => {
+  const handleStorage = (e) => {
+    if (e.key === PREFERENCES_KEY || e.key === null) callback(loadPreferences());
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
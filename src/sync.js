@@ -0,0 +1,110 @@
+// Merging the meetings state of this tab with changes saved by another tab.
+// Each tab remembers the state it last saved or loaded (the base). When another tab saves, the two sets of
+// changes are merged meeting by meeting, row by row and field by field against that base, the way a three-way
+// merge works. When both tabs changed the same field of a row differently this tab's value is kept and a
+// conflict is reported, so the user can choose between them.
+
+import { withSchedule } from './schedule';
+
+// JSON text for a value with object keys sorted, so the order properties were set in doesn't matter
+const canonicalJson = (value) => JSON.stringify(value, (key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v
+));
+
+// Whether two values hold the same data
+export const sameValue = (a, b) => canonicalJson(a) === canonicalJson(b);
+
+// Lists the keys whose values differ between two rows
+export const changedKeys = (a, b) =>
+  [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])].filter(key => !sameValue(a?.[key], b?.[key]));
+
+// Merges one side's version of a value with the other's: whichever side changed it from the base wins.
+// Returns { value, conflict }, where conflict is true when both sides changed it differently (local is kept).
+const mergeValue = (base, local, remote) => {
+  if (sameValue(local, base)) return { value: remote, conflict: false };
+  if (sameValue(remote, base) || sameValue(local, remote)) return { value: local, conflict: false };
+  return { value: local, conflict: true };
+};
+
+// Copies a row without its time unless the time is pinned. Other times are recomputed from the schedule
+// whenever a row before them changes, so they don't count as edits.
+export const withoutScheduledTime = (row) => {
+  if (!row || row.pinned) return row;
+  const { time, ...rest } = row;
+  return rest;
+};
+
+// Merges a row both sides still have field by field. Returns { row, mine, theirs }, where mine and theirs are
+// null unless both sides changed the same field differently; they are then the merged row with this side's
+// and the other side's values for those fields. The merged row keeps this side's values.
+const mergeRow = (baseRow, localRow, remoteRow) => {
+  const [base, local, remote] = [baseRow, localRow, remoteRow].map(row => withoutScheduledTime(row) || {});
+  const keys = [...new Set([...Object.keys(local), ...Object.keys(remote)])];
+  const row = { ...localRow };
+  const conflicting = [];
+  keys.forEach(key => {
+    const { value, conflict } = mergeValue(base[key], local[key], remote[key]);
+    if (value === undefined) delete row[key];
+    else row[key] = value;
+    if (conflict) conflicting.push(key);
+  });
+  if (conflicting.length === 0) return { row, mine: null, theirs: null };
+  const theirs = conflicting.reduce((fields, key) => ({ ...fields, [key]: remoteRow[key] }), { ...row });
+  return { row, mine: row, theirs };
+};
+
+// Merges two lists of items with ids, such as meetings or rows, against their common base.
+// `mergeItem(base, local, remote)` merges an item both sides still have. Items deleted on one side are dropped
+// unless the other side changed them, as compared by `sameItem`. The order follows whichever side reordered the list.
+const mergeById = (baseItems, localItems, remoteItems, mergeItem, sameItem = sameValue) => {
+  const byId = (items) => new Map(items.map(item => [item.id, item]));
+  const base = byId(baseItems);
+  const local = byId(localItems);
+  const remote = byId(remoteItems);
+
+  const ids = (items) => items.map(item => item.id);
+  const primary = sameValue(ids(localItems), ids(baseItems)) ? remoteItems : localItems;
+  const secondary = primary === remoteItems ? localItems : remoteItems;
+  const orderedIds = [...ids(primary), ...ids(secondary).filter(id => !ids(primary).includes(id))];
+
+  return orderedIds.flatMap(id => {
+    const [b, l, r] = [base.get(id), local.get(id), remote.get(id)];
+    if (l && r) return [mergeItem(b, l, r)];
+    const kept = l || r;
+    // Added on one side, or deleted on the other side after being changed here
+    if (!b || !sameItem(kept, b)) return [kept];
+    return [];
+  });
+};
+
+// Merges the meetings of this tab (local) with those saved by another tab (remote), against the base both
+// started from. Returns { meetings, conflicts }, with one conflict { meetingId, rowId, mine, theirs } for
+// each row where both tabs changed the same field differently. Merged meetings have their row times
+// recomputed, since the rows they follow may have changed on the other side.
+export const mergeMeetings = (baseMeetings, localMeetings, remoteMeetings) => {
+  const conflicts = [];
+
+  const meetings = mergeById(baseMeetings, localMeetings, remoteMeetings, (base, local, remote) => {
+    const { rows: baseRows = [], ...baseFields } = base || {};
+    const { rows: localRows, ...localFields } = local;
+    const { rows: remoteRows, ...remoteFields } = remote;
+
+    // Meeting details are merged field by field; if both tabs changed the same detail this tab's value is kept
+    const fields = [...new Set([...Object.keys(localFields), ...Object.keys(remoteFields)])].reduce((merged, key) => ({
+      ...merged,
+      [key]: mergeValue(baseFields[key], localFields[key], remoteFields[key]).value,
+    }), {});
+
+    const rows = mergeById(baseRows, localRows, remoteRows, (baseRow, localRow, remoteRow) => {
+      const { row, mine, theirs } = mergeRow(baseRow, localRow, remoteRow);
+      if (mine) conflicts.push({ meetingId: local.id, rowId: localRow.id, mine, theirs });
+      return row;
+    }, (a, b) => sameValue(withoutScheduledTime(a), withoutScheduledTime(b)));
+
+    return withSchedule({ ...fields, rows });
+  });
+
+  return { meetings, conflicts };
+};
@@ -0,0 +1,107 @@
+import { mergeMeetings, sameValue } from './sync';
+import { migrateStoredState, saveMeetingsState, loadRevision, SCHEMA_VERSION } from './storage';
+import { DEFAULT_FIELDS } from './fields';
+import { withSchedule } from './schedule';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+// Meetings are stored with their row times worked out, so the fixtures are too
+const meeting = (rows, details = {}) => withSchedule({ id: 'm1', title: 'Regular Session', startTime: '18:00', rows, ...details });
+const row = (id, issue, extra = {}) => ({ id, issue, duration: 10, ...extra });
+
+test('mergeMeetings combines changes to different rows and meeting details', () => {
+  const base = [meeting([row('a', 'Roll call'), row('b', 'Budget')])];
+  const local = [meeting([row('a', 'Roll call', { duration: 5 }), row('b', 'Budget')])];
+  const remote = [meeting([row('a', 'Roll call'), row('b', 'Budget review')], { title: 'Special Session' })];
+
+  const { meetings, conflicts } = mergeMeetings(base, local, remote);
+  expect(conflicts).toEqual([]);
+  expect(meetings[0].title).toBe('Special Session');
+  expect(meetings[0].rows).toEqual(meeting([row('a', 'Roll call', { duration: 5 }), row('b', 'Budget review')]).rows);
+});
+
+test('mergeMeetings keeps rows added on either side and drops rows deleted on the other', () => {
+  const base = [meeting([row('a', 'Roll call'), row('b', 'Budget')])];
+  const local = [meeting([row('a', 'Roll call'), row('b', 'Budget'), row('c', 'Parks')])];
+  const remote = [meeting([row('a', 'Roll call')])];
+
+  const { meetings } = mergeMeetings(base, local, remote);
+  expect(meetings[0].rows.map(r => r.id)).toEqual(['a', 'c']);
+});
+
+test('mergeMeetings reports a conflict when both sides change the same row, keeping this side', () => {
+  const base = [meeting([row('a', 'Roll call')])];
+  const local = [meeting([row('a', 'Roll call and pledge')])];
+  const remote = [meeting([row('a', 'Attendance')])];
+
+  const { meetings, conflicts } = mergeMeetings(base, local, remote);
+  expect(meetings[0].rows[0].issue).toBe('Roll call and pledge');
+  expect(conflicts).toEqual([
+    {
+      meetingId: 'm1',
+      rowId: 'a',
+      mine: meeting([row('a', 'Roll call and pledge')]).rows[0],
+      theirs: meeting([row('a', 'Attendance')]).rows[0],
+    },
+  ]);
+});
+
+test('mergeMeetings merges different fields of the same row without a conflict', () => {
+  const base = [meeting([row('a', 'Roll call'), row('b', 'Budget')])];
+  // This tab lengthened the first item, which moved the unpinned time of the next one
+  const local = [meeting([row('a', 'Roll call', { duration: 20 }), row('b', 'Budget')])];
+  const remote = [meeting([row('a', 'Attendance'), row('b', 'Budget review')])];
+
+  const { meetings, conflicts } = mergeMeetings(base, local, remote);
+  expect(conflicts).toEqual([]);
+  expect(meetings[0].rows).toEqual(meeting([row('a', 'Attendance', { duration: 20 }), row('b', 'Budget review')]).rows);
+  expect(meetings[0].rows[1].time).toBe('18:20');
+});
+
+test('mergeMeetings recomputes times moved by the other side, leaving nothing to save when this side is unchanged', () => {
+  const base = [meeting([row('a', 'Roll call'), row('b', 'Budget'), row('c', 'Parks')])];
+  const remote = [meeting([row('a', 'Roll call', { duration: 30 }), row('b', 'Budget'), row('c', 'Parks')])];
+
+  const { meetings, conflicts } = mergeMeetings(base, base, remote);
+  expect(conflicts).toEqual([]);
+  expect(meetings[0].rows.map(r => r.time)).toEqual(['18:00', '18:30', '18:40']);
+  expect(sameValue(meetings, remote)).toBe(true);
+});
+
+test('mergeMeetings only reports the fields both sides changed', () => {
+  const base = [meeting([row('a', 'Roll call', { presenter: 'Clerk' })])];
+  const local = [meeting([row('a', 'Roll call and pledge', { presenter: 'Clerk' })])];
+  const remote = [meeting([row('a', 'Attendance', { presenter: 'Mayor' })])];
+
+  const { meetings, conflicts } = mergeMeetings(base, local, remote);
+  expect(meetings[0].rows[0]).toEqual(meeting([row('a', 'Roll call and pledge', { presenter: 'Mayor' })]).rows[0]);
+  expect(conflicts[0].theirs).toEqual(meeting([row('a', 'Attendance', { presenter: 'Mayor' })]).rows[0]);
+});
+
+test('migrateStoredState upgrades unversioned data to the current schema', () => {
+  const migrated = migrateStoredState({ meetings: [meeting([])], activeMeetingId: 'm1' });
+  expect(migrated.schemaVersion).toBe(SCHEMA_VERSION);
+  expect(migrated.revision).toBe(0);
+  expect(migrated.meetings[0].fields).toEqual(DEFAULT_FIELDS);
+});
+
+test('saveMeetingsState refuses to overwrite a newer revision', () => {
+  const state = { meetings: [meeting([])], activeMeetingId: 'm1' };
+  expect(saveMeetingsState(state, 0)).toEqual({ saved: true, revision: 1 });
+  expect(saveMeetingsState(state, 0)).toEqual({ saved: false, revision: 1 });
+  expect(loadRevision()).toBe(1);
+});
+
+test('saveMeetingsState reports an error when localStorage is full', () => {
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const result = saveMeetingsState({ meetings: [meeting([])], activeMeetingId: 'm1' }, 0);
+  expect(result).toMatchObject({ saved: false, revision: 0 });
+  expect(result.error.message).toMatch(/storage is full/);
+  setItem.mockRestore();
+  console.error.mockRestore();
+});
@@ -0,0 +1,86 @@
+import { createMeeting, generateId } from './meetings';
+
+// Meeting templates and recurring meeting dates.
+// A template is a saved agenda: { id, name, body, location, startTime, fields, rows, createdAt }. Its rows are
+// the standing items with their sections, durations and pinned times, and become the rows of every meeting
+// created from it.
+
+// Weeks of the month a meeting can recur on; -1 is the last one of the month
+export const RECURRENCE_WEEKS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'last' },
+];
+
+// Day names, indexed like Date#getDay()
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Saves a meeting's agenda as a template. Live tracking, motions and speakers belong to the meeting, so they're left out.
+export const templateFromMeeting = (name, meeting) => ({
+  id: generateId(),
+  name,
+  body: meeting.body,
+  location: meeting.location,
+  startTime: meeting.startTime,
+  fields: meeting.fields,
+  rows: meeting.rows.map(({ id, motions, actualStart, actualEnd, speakers, speakerLog, ...row }) => row),
+  createdAt: new Date().toISOString(),
+});
+
+// Creates a new draft meeting from a template, optionally overriding any of its fields (e.g. the date)
+export const meetingFromTemplate = (template, overrides = {}) => createMeeting({
+  title: template.name,
+  body: template.body,
+  location: template.location,
+  startTime: template.startTime,
+  ...(template.fields ? { fields: template.fields } : {}),
+  rows: template.rows.map(row => ({ ...row, id: generateId() })),
+  ...overrides,
+});
+
+// Formats a local Date as a meeting date, e.g. "2026-01-06"
+const toDateString = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+
+// Returns the day of the month of the nth weekday (1-4, or -1 for the last) of a month
+const nthWeekdayOfMonth = (year, month, weekday, week) => {
+  if (week === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    return lastDay.getDate() - ((lastDay.getDay() - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(year, month, 1).getDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (week - 1) * 7;
+};
+
+// Most meetings created from a template at once
+export const MAX_RECURRING_MEETINGS = 24;
+
+// Lists the next `count` meeting dates on or after `fromDate` ("YYYY-MM-DD") for a recurrence such as
+// "every 1st and 3rd Tuesday": { weeks: [1, 3], weekday: 2 }. At most MAX_RECURRING_MEETINGS dates are listed.
+export const recurringDates = ({ weeks, weekday }, fromDate, requestedCount) => {
+  const count = Math.min(Math.floor(requestedCount) || 0, MAX_RECURRING_MEETINGS);
+  if (weeks.length === 0 || count <= 0) return [];
+  const [year, month] = fromDate.split('-').map(Number);
+  const dates = [];
+
+  for (let offset = 0; dates.length < count; offset += 1) {
+    const monthStart = new Date(year, month - 1 + offset, 1);
+    const monthDates = [...new Set(weeks.map(week =>
+      nthWeekdayOfMonth(monthStart.getFullYear(), monthStart.getMonth(), weekday, week)
+    ))]
+      .sort((a, b) => a - b)
+      .map(day => toDateString(new Date(monthStart.getFullYear(), monthStart.getMonth(), day)))
+      .filter(date => date >= fromDate);
+    dates.push(...monthDates);
+  }
+  return dates.slice(0, count);
+};
+
+// Describes a recurrence in words, e.g. "every 1st and 3rd Tuesday"
+export const describeRecurrence = ({ weeks, weekday }) => {
+  const labels = RECURRENCE_WEEKS.filter(week => weeks.includes(week.value)).map(week => week.label);
+  const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels.join('');
+  return `every ${list} ${WEEKDAYS[weekday]}`;
+};
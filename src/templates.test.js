@@ -0,0 +1,35 @@
+import { templateFromMeeting, meetingFromTemplate, recurringDates, describeRecurrence, MAX_RECURRING_MEETINGS } from './templates';
+import { createMeeting } from './meetings';
+
+test('templates keep the standing items but not the record of a past meeting', () => {
+  const meeting = createMeeting({
+    body: 'City Council',
+    startTime: '18:30',
+    rows: [{ id: 'a', time: '18:30', duration: 5, pinned: true, section: 'Call to Order', issue: 'Roll call', motions: [{ id: 'm' }], actualStart: 'x' }],
+  });
+  const template = templateFromMeeting('Regular Session', meeting);
+  expect(template.rows).toEqual([{ time: '18:30', duration: 5, pinned: true, section: 'Call to Order', issue: 'Roll call' }]);
+
+  const created = meetingFromTemplate(template, { date: '2026-02-03' });
+  expect(created).toMatchObject({ title: 'Regular Session', date: '2026-02-03', body: 'City Council', startTime: '18:30', status: 'draft' });
+  expect(created.rows[0].id).toBeDefined();
+  expect(created.rows[0].issue).toBe('Roll call');
+});
+
+test('recurringDates finds the 1st and 3rd Tuesday of each month from the start date', () => {
+  const recurrence = { weeks: [1, 3], weekday: 2 };
+  expect(recurringDates(recurrence, '2026-01-10', 4)).toEqual(['2026-01-20', '2026-02-03', '2026-02-17', '2026-03-03']);
+  expect(describeRecurrence(recurrence)).toBe('every 1st and 3rd Tuesday');
+});
+
+test('recurringDates handles the last weekday of the month and the end of the year', () => {
+  expect(recurringDates({ weeks: [-1], weekday: 4 }, '2026-11-01', 3)).toEqual(['2026-11-26', '2026-12-31', '2027-01-28']);
+  expect(recurringDates({ weeks: [], weekday: 4 }, '2026-11-01', 3)).toEqual([]);
+});
+
+test('recurringDates lists at most MAX_RECURRING_MEETINGS dates', () => {
+  const recurrence = { weeks: [1, 3], weekday: 2 };
+  expect(recurringDates(recurrence, '2026-01-01', 100000)).toHaveLength(MAX_RECURRING_MEETINGS);
+  expect(recurringDates(recurrence, '2026-01-01', 2.5)).toHaveLength(2);
+  expect(recurringDates(recurrence, '2026-01-01', NaN)).toEqual([]);
+});
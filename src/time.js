@@ -0,0 +1,93 @@
+// Time-of-day model for agenda items.
+// Times are handled internally as minutes since midnight and stored on rows as 24-hour "HH:MM" strings,
+// which keeps saved data, exports and the Excel importer compatible with earlier versions.
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Display preferences offered to the user
+export const TIME_FORMATS = ['12h', '24h'];
+
+// Matches "9", "9:05", "09.05", "0905", "9:05 am", "9:05PM", "9 a.m." and similar
+const TIME_PATTERN = /^(\d{1,2})(?:[:.]?(\d{2}))?(?:\s*([ap])\.?\s*m?\.?)?$/i;
+
+// Converts an Excel serial value to minutes since midnight.
+// Only the fractional part is used, so full date-time serials (e.g. 45292.375) give the time of day.
+// Rounds to the nearest minute to absorb floating point error (9:05 is stored as 0.378472...).
+export const excelSerialToMinutes = (serial) => {
+  if (typeof serial !== 'number' || !isFinite(serial) || serial < 0) return null;
+  const fraction = serial - Math.floor(serial);
+  return Math.round(fraction * MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+// Parses user or spreadsheet input into minutes since midnight, or null if it isn't a valid time
+export const parseTime = (input) => {
+  if (typeof input === 'number') return excelSerialToMinutes(input);
+  if (typeof input !== 'string') return null;
+
+  const match = input.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] === undefined ? 0 : Number(match[2]);
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'p') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+// Formats minutes since midnight for display in the given format ('12h' or '24h')
+export const formatTime = (minutes, format = '24h') => {
+  if (minutes === null || minutes === undefined) return '';
+  const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(normalized / 60);
+  const mins = String(normalized % 60).padStart(2, '0');
+
+  if (format === '12h') {
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${mins} ${suffix}`;
+  }
+  return `${String(hours).padStart(2, '0')}:${mins}`;
+};
+
+// Normalizes any accepted input to the stored "HH:MM" form, or null if it isn't a valid time
+export const normalizeTime = (input) => {
+  const minutes = parseTime(input);
+  return minutes === null ? null : formatTime(minutes, '24h');
+};
+
+// Shows a stored time in the user's preferred format, leaving unparseable legacy values as they are
+export const displayTime = (value, format) => {
+  const minutes = parseTime(value);
+  return minutes === null ? String(value ?? '') : formatTime(minutes, format);
+};
+
+// Returns rows sorted by start time. The sort is stable, and rows without a valid time keep their
+// relative order at the end of the list.
+export const sortRowsByTime = (rows) =>
+  rows
+    .map((row, index) => ({ row, index, minutes: parseTime(row.time) }))
+    .sort((a, b) => {
+      if (a.minutes === null && b.minutes === null) return a.index - b.index;
+      if (a.minutes === null) return 1;
+      if (b.minutes === null) return -1;
+      return a.minutes - b.minutes || a.index - b.index;
+    })
+    .map(entry => entry.row);
+
+// Formats a meeting date ("2026-01-06") the way it appears on a posted agenda, e.g. "Tuesday, January 6, 2026"
+export const formatLongDate = (date) => {
+  if (!date) return '';
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+  });
+};
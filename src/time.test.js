@@ -0,0 +1,35 @@
+import { parseTime, formatTime, normalizeTime, sortRowsByTime } from './time';
+
+test('parseTime accepts 12h, 24h and Excel serial inputs', () => {
+  expect(parseTime('9:05 am')).toBe(545);
+  expect(parseTime('9:05PM')).toBe(1265);
+  expect(parseTime('12:00 am')).toBe(0);
+  expect(parseTime('12 p.m.')).toBe(720);
+  expect(parseTime('14:30')).toBe(870);
+  expect(parseTime('0930')).toBe(570);
+  expect(parseTime(0.378472222)).toBe(545);
+  // A full date-time serial only contributes its time of day
+  expect(parseTime(45292.375)).toBe(540);
+});
+
+test('parseTime rejects invalid input', () => {
+  ['', 'noon-ish', '25:00', '9:75', '13 pm', '0 am', null, undefined, NaN].forEach(input => {
+    expect(parseTime(input)).toBeNull();
+  });
+});
+
+test('formatTime honours the 12h/24h preference', () => {
+  expect(formatTime(545, '12h')).toBe('9:05 AM');
+  expect(formatTime(0, '12h')).toBe('12:00 AM');
+  expect(formatTime(870, '24h')).toBe('14:30');
+  expect(normalizeTime('2:30 pm')).toBe('14:30');
+});
+
+test('sortRowsByTime orders chronologically and keeps invalid times last', () => {
+  const rows = [
+    { id: 'a', time: '14:00' },
+    { id: 'b', time: 'TBD' },
+    { id: 'c', time: '09:00' },
+  ];
+  expect(sortRowsByTime(rows).map(r => r.id)).toEqual(['c', 'a', 'b']);
+});
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { loadMeetingsState, loadPreferences } from './storage';
+import { createBackend } from './backends';
+
+// No meetings, shown until a backend other than localStorage has loaded
+const NO_MEETINGS = { meetings: [], activeMeetingId: null };
+
+// Meetings as saved by the editor window, from the storage backend chosen in the preferences, kept up to
+// date as they're saved again. Used by the read-only views opened in their own windows.
+function useStoredMeetings() {
+  // The backend, created once for the life of the window
+  const [backend] = useState(() => createBackend(loadPreferences().storage));
+
+  // State holding the saved meetings; localStorage can be read straight away, other backends load below
+  const [meetingsState, setMeetingsState] = useState(() => (backend.type === 'local' ? loadMeetingsState() : NO_MEETINGS));
+
+  // Effect to load the meetings from other backends and follow changes made in the editor window
+  useEffect(() => {
+    if (backend.type !== 'local') {
+      backend.load()
+        .then(({ state }) => state && setMeetingsState(state))
+        .catch(error => console.error("Failed to load meetings:", error));
+    }
+    return backend.subscribe(state => setMeetingsState(state));
+  }, [backend]);
+
+  return meetingsState;
+}
+
+export default useStoredMeetings;
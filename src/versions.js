@@ -0,0 +1,133 @@
+import { meetingFields } from './fields';
+import { itemNumbers } from './sections';
+import { sameValue } from './sync';
+
+// Published versions of a meeting's agenda. Once an agenda is posted, any change to it has to be posted as
+// an amended agenda showing what changed, so publishing freezes a numbered copy of the agenda with the time
+// it was published. Versions are kept on the meeting as `versions`, oldest first.
+
+// Meeting details printed on the agenda, with their labels, compared between versions
+export const DETAIL_LABELS = { title: 'Title', date: 'Date', startTime: 'Start time', body: 'Body', location: 'Location' };
+
+// Row properties compared between versions besides the item fields, with their labels
+const SCHEDULE_LABELS = { section: 'Section', time: 'Time', duration: 'Minutes' };
+
+// Key standing for the current, unpublished agenda when choosing versions to compare
+export const DRAFT_VERSION = 'draft';
+
+// Returns a meeting's published versions, oldest first
+export const meetingVersions = (meeting) => meeting.versions || [];
+
+// Returns the latest published version of a meeting, or null if it has never been published
+export const latestVersion = (meeting) => {
+  const versions = meetingVersions(meeting);
+  return versions.length > 0 ? versions[versions.length - 1] : null;
+};
+
+// Returns the published version with the given number, the current agenda for DRAFT_VERSION, or null
+export const findVersion = (meeting, key) => {
+  if (key === DRAFT_VERSION) return { number: null, publishedAt: null, ...agendaSnapshot(meeting) };
+  return meetingVersions(meeting).find(version => String(version.number) === String(key)) || null;
+};
+
+// Names a version in headings and lists, e.g. "Version 2"
+export const versionLabel = (version) => (version.number === null ? 'Unpublished draft' : `Version ${version.number}`);
+
+// Formats when a version was published, e.g. "Oct 19, 2026, 6:04 PM"
+export const formatPublishedAt = (publishedAt) =>
+  new Date(publishedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+// Copies the parts of a meeting that make up its published agenda.
+// Motions, actual times and public comment speakers record what happened at the meeting, so they aren't part of the agenda.
+export const agendaSnapshot = (meeting) => ({
+  ...Object.keys(DETAIL_LABELS).reduce((details, key) => ({ ...details, [key]: meeting[key] }), {}),
+  fields: meetingFields(meeting),
+  rows: meeting.rows.map(({ motions, actualStart, actualEnd, speakers, speakerLog, ...row }) => row),
+});
+
+// Whether the agenda has changed since it was last published (always true if it never has been)
+export const hasUnpublishedChanges = (meeting) => {
+  const latest = latestVersion(meeting);
+  if (!latest) return true;
+  const { number, publishedAt, ...published } = latest;
+  return !sameValue(published, agendaSnapshot(meeting));
+};
+
+// Returns the meeting with its current agenda added as the next published version
+export const publishVersion = (meeting, now = new Date()) => {
+  const latest = latestVersion(meeting);
+  const version = { number: latest ? latest.number + 1 : 1, publishedAt: now.toISOString(), ...agendaSnapshot(meeting) };
+  return { ...meeting, versions: [...meetingVersions(meeting), version] };
+};
+
+// Finds the ids both lists keep in the same relative order (their longest common subsequence)
+const unmovedIds = (fromIds, toIds) => {
+  const lengths = fromIds.map(() => toIds.map(() => 0));
+  const lengthAt = (i, j) => (i < fromIds.length && j < toIds.length ? lengths[i][j] : 0);
+  for (let i = fromIds.length - 1; i >= 0; i -= 1) {
+    for (let j = toIds.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = fromIds[i] === toIds[j] ? lengthAt(i + 1, j + 1) + 1 : Math.max(lengthAt(i + 1, j), lengthAt(i, j + 1));
+    }
+  }
+  const unmoved = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < fromIds.length && j < toIds.length) {
+    if (fromIds[i] === toIds[j]) {
+      unmoved.add(fromIds[i]);
+      i += 1;
+      j += 1;
+    } else if (lengthAt(i + 1, j) >= lengthAt(i, j + 1)) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return unmoved;
+};
+
+// Lists the values that differ between two objects as { key, label, before, after }
+const changedValues = (before, after, labels) =>
+  Object.entries(labels)
+    .filter(([key]) => !sameValue(before[key] ?? '', after[key] ?? ''))
+    .map(([key, label]) => ({ key, label, before: before[key] ?? '', after: after[key] ?? '' }));
+
+// Compares two versions of an agenda (or a version and the current agenda, see agendaSnapshot). Returns
+//   details:  meeting details that changed, as { key, label, before, after }
+//   added:    items only in `to`, as { row, number }
+//   removed:  items only in `from`, as { row, number }
+//   moved:    items whose order changed relative to the others, as { row, fromNumber, toNumber }
+//   modified: items with changed fields, as { row, fromNumber, toNumber, changes }, changes as in details
+// An item can be both moved and modified. Items keep their place in the agenda they're listed from.
+export const diffVersions = (from, to) => {
+  const fromRows = new Map(from.rows.map(row => [row.id, row]));
+  const toIds = new Set(to.rows.map(row => row.id));
+  const fromNumbers = itemNumbers(from.rows);
+  const toNumbers = itemNumbers(to.rows);
+  const unmoved = unmovedIds(
+    from.rows.filter(row => toIds.has(row.id)).map(row => row.id),
+    to.rows.filter(row => fromRows.has(row.id)).map(row => row.id)
+  );
+  const rowLabels = {
+    ...[...from.fields, ...to.fields].reduce((labels, field) => ({ ...labels, [field.key]: field.label }), {}),
+    ...SCHEDULE_LABELS,
+  };
+
+  const kept = to.rows.filter(row => fromRows.has(row.id)).map(row => ({
+    row,
+    fromNumber: fromNumbers[row.id],
+    toNumber: toNumbers[row.id],
+    changes: changedValues(fromRows.get(row.id), row, rowLabels),
+  }));
+
+  return {
+    details: changedValues(from, to, DETAIL_LABELS),
+    added: to.rows.filter(row => !fromRows.has(row.id)).map(row => ({ row, number: toNumbers[row.id] })),
+    removed: from.rows.filter(row => !toIds.has(row.id)).map(row => ({ row, number: fromNumbers[row.id] })),
+    moved: kept.filter(item => !unmoved.has(item.row.id)).map(({ changes, ...item }) => item),
+    modified: kept.filter(item => item.changes.length > 0),
+  };
+};
+
+// Whether a diff found no changes at all
+export const isEmptyDiff = (diff) => Object.values(diff).every(list => list.length === 0);
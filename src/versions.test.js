@@ -0,0 +1,51 @@
+import { publishVersion, hasUnpublishedChanges, diffVersions, isEmptyDiff, findVersion, DRAFT_VERSION } from './versions';
+import { createMeeting } from './meetings';
+
+const row = (id, issue, extra = {}) => ({ id, issue, time: '18:00', duration: 10, section: '', department: 'Clerk', presenter: 'J. Smith', ...extra });
+
+test('publishVersion freezes numbered copies of the agenda without the meeting record', () => {
+  const meeting = createMeeting({ rows: [row('a', 'Roll call', { motions: [{ id: 'm' }], actualStart: 'x' })] });
+  const once = publishVersion(meeting, new Date('2026-01-02T17:00:00Z'));
+  const twice = publishVersion({ ...once, title: 'Amended' }, new Date('2026-01-03T17:00:00Z'));
+
+  expect(twice.versions.map(v => v.number)).toEqual([1, 2]);
+  expect(twice.versions[0]).toMatchObject({ publishedAt: '2026-01-02T17:00:00.000Z', title: 'Untitled meeting' });
+  expect(twice.versions[1].title).toBe('Amended');
+  expect(twice.versions[0].rows[0]).toEqual(row('a', 'Roll call'));
+});
+
+test('hasUnpublishedChanges ignores motions recorded after publishing', () => {
+  const published = publishVersion(createMeeting({ rows: [row('a', 'Roll call')] }));
+  expect(hasUnpublishedChanges(createMeeting())).toBe(true);
+  expect(hasUnpublishedChanges(published)).toBe(false);
+  expect(hasUnpublishedChanges({ ...published, rows: [row('a', 'Roll call', { motions: [{ id: 'm' }] })] })).toBe(false);
+  expect(hasUnpublishedChanges({ ...published, rows: [row('a', 'Roll call and pledge')] })).toBe(true);
+});
+
+test('diffVersions reports added, removed, moved and modified items at field level', () => {
+  const from = createMeeting({ rows: [row('a', 'Roll call'), row('b', 'Budget'), row('c', 'Parks'), row('d', 'Library')] });
+  const to = { ...from, location: 'Room 200', rows: [row('e', 'Paving'), row('a', 'Roll call'), row('c', 'Parks'), row('d', 'Library', { presenter: 'R. Diaz' }), row('b', 'Budget')] };
+  const diff = diffVersions(findVersion(publishVersion(from), 1), findVersion(to, DRAFT_VERSION));
+
+  expect(diff.details).toEqual([{ key: 'location', label: 'Location', before: '', after: 'Room 200' }]);
+  expect(diff.added).toEqual([{ row: to.rows[0], number: '1' }]);
+  expect(diff.removed).toEqual([]);
+  // Only the budget item changed places; the others just shifted down by the added item
+  expect(diff.moved.map(item => [item.row.id, item.fromNumber, item.toNumber])).toEqual([['b', '2', '5']]);
+  expect(diff.modified).toEqual([{
+    row: to.rows[3],
+    fromNumber: '4',
+    toNumber: '4',
+    changes: [{ key: 'presenter', label: 'Presenter', before: 'J. Smith', after: 'R. Diaz' }],
+  }]);
+});
+
+test('diffVersions finds removed items and nothing else for an otherwise equal agenda', () => {
+  const meeting = createMeeting({ rows: [row('a', 'Roll call'), row('b', 'Budget')] });
+  const trimmed = { ...meeting, rows: [meeting.rows[0]] };
+  const diff = diffVersions(findVersion(meeting, DRAFT_VERSION), findVersion(trimmed, DRAFT_VERSION));
+
+  expect(diff.removed.map(item => item.row.id)).toEqual(['b']);
+  expect(isEmptyDiff({ ...diff, removed: [] })).toBe(true);
+  expect(isEmptyDiff(diffVersions(findVersion(meeting, DRAFT_VERSION), findVersion(meeting, DRAFT_VERSION)))).toBe(true);
+});
@@ -0,0 +1,14 @@
+// Loads the SheetJS spreadsheet library on first use.
+// It is bundled as its own chunk, so the editor starts without it and it's still available offline.
+let xlsxPromise = null;
+
+// Returns a promise of the SheetJS module. A failed load is retried on the next call.
+export const loadXLSX = () => {
+  if (!xlsxPromise) {
+    xlsxPromise = import('xlsx').catch(error => {
+      xlsxPromise = null;
+      throw error;
+    });
+  }
+  return xlsxPromise;
+};
@@ -0,0 +1,9 @@
+// Tailwind builds the app's stylesheet from the classes used in these files
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.js', './public/index.html'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};